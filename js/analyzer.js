@@ -0,0 +1,386 @@
+// js/analyzer.js
+// スペクトラムアナライザー (任意の入力/Direct/出力ストリップ)
+// 各ストリップの AnalyserNode から波形を取り出して独自にFFTする (ノードの smoothingTimeConstant は他の表示と共有のため触らない)
+const audio = require('./audio');
+
+const FFT_SIZE = 2048;
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+const MIN_DB = -100;
+const MAX_DB = 0;
+const DIFF_RANGE = 24;             // 差分カーブの表示範囲 (±dB、右軸)
+const GRID_FREQS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GRID_DBS = [-20, -40, -60, -80];
+
+// 平均化の時定数 (秒)
+const AVERAGING = { off: 0, fast: 0.125, slow: 1.0 };
+
+const COLOR_A = '#30d158';
+const COLOR_B = '#ff9f0a';
+const COLOR_DIFF = '#0a84ff';
+
+// --- FFT (radix-2) ---
+const BIT_REVERSE = new Uint32Array(FFT_SIZE);
+const COS_TABLE = new Float32Array(FFT_SIZE / 2);
+const SIN_TABLE = new Float32Array(FFT_SIZE / 2);
+const WINDOW = new Float32Array(FFT_SIZE);
+(() => {
+    const bits = Math.log2(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+        let r = 0;
+        for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+        BIT_REVERSE[i] = r;
+        WINDOW[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE);
+    }
+    for (let i = 0; i < FFT_SIZE / 2; i++) {
+        COS_TABLE[i] = Math.cos(2 * Math.PI * i / FFT_SIZE);
+        SIN_TABLE[i] = -Math.sin(2 * Math.PI * i / FFT_SIZE);
+    }
+})();
+
+// Hann窓を掛けてFFTし、フルスケールの正弦波が 1.0 になるパワーを power[0..N/2) に加算する
+function addPowerSpectrum(samples, re, im, power) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+        re[BIT_REVERSE[i]] = samples[i] * WINDOW[i];
+        im[BIT_REVERSE[i]] = 0;
+    }
+    for (let size = 2; size <= FFT_SIZE; size *= 2) {
+        const half = size / 2;
+        const step = FFT_SIZE / size;
+        for (let start = 0; start < FFT_SIZE; start += size) {
+            for (let k = 0; k < half; k++) {
+                const c = COS_TABLE[k * step];
+                const s = SIN_TABLE[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * c - im[b] * s;
+                const ti = re[b] * s + im[b] * c;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+    // Hann窓のコヒーレントゲイン (0.5) を含めた正規化
+    const norm = 4 / FFT_SIZE;
+    for (let i = 0; i < FFT_SIZE / 2; i++) {
+        power[i] += (re[i] * re[i] + im[i] * im[i]) * norm * norm;
+    }
+}
+
+function powerToDb(power) {
+    return power > 1e-12 ? 10 * Math.log10(power) : MIN_DB * 2;
+}
+
+// スペクトログラムの配色 (黒 -> 青 -> 緑 -> 黄 -> 赤)
+function heatColor(t) {
+    const stops = [[0, 0, 0], [0, 40, 160], [0, 200, 120], [255, 230, 0], [255, 40, 0]];
+    const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(x));
+    const f = x - i;
+    return stops[i].map((v, c) => Math.round(v + (stops[i + 1][c] - v) * f));
+}
+
+// 1ストリップ分の計測 (平均化したパワーとピークホールド)
+class Trace {
+    constructor() {
+        this.power = new Float32Array(FFT_SIZE / 2);
+        this.average = null;
+        this.peak = null;
+    }
+
+    reset() {
+        this.average = null;
+        this.peak = null;
+    }
+}
+
+class Analyzer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx2d = canvas.getContext('2d');
+        this.isRunning = false;
+        // 実行中の描画ループ (stop() で取り消す。要求したウィンドウで取り消す必要がある)
+        this.frameId = null;
+        this.frameView = null;
+        // source: { kind: 'input' | 'direct' | 'output', id }
+        this.settings = { sourceA: null, sourceB: null, mode: 'spectrum', averaging: 'fast', peakHold: false, diff: false };
+        this.traceA = new Trace();
+        this.traceB = new Trace();
+        this.samples = new Float32Array(FFT_SIZE);
+        this.re = new Float32Array(FFT_SIZE);
+        this.im = new Float32Array(FFT_SIZE);
+        this.lastTime = 0;
+        this.spectrogram = null;
+    }
+
+    setSettings(changes) {
+        const sourceChanged = (key) => changes[key] !== undefined && JSON.stringify(changes[key]) !== JSON.stringify(this.settings[key]);
+        if (sourceChanged('sourceA')) this.traceA.reset();
+        if (sourceChanged('sourceB')) this.traceB.reset();
+        if (changes.mode !== undefined && changes.mode !== this.settings.mode) this.spectrogram = null;
+        Object.assign(this.settings, changes);
+    }
+
+    resetPeaks() {
+        this.traceA.peak = null;
+        this.traceB.peak = null;
+    }
+
+    start() {
+        this.resize();
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.lastTime = performance.now();
+        // 別ウィンドウに切り離した場合はそのウィンドウの描画タイミングで回す
+        const request = () => {
+            this.frameView = this.canvas.ownerDocument.defaultView;
+            this.frameId = this.frameView.requestAnimationFrame(loop);
+        };
+        const loop = (timestamp) => {
+            this.frameId = null;
+            if (!this.isRunning) return;
+            const dt = Math.min(0.1, Math.max(0, (timestamp - this.lastTime) / 1000));
+            this.lastTime = timestamp;
+            this.update(dt);
+            this.draw();
+            request();
+        };
+        request();
+    }
+
+    // 同じタイミングで start() し直しても古いループが残らないよう、予約済みのフレームも取り消す
+    stop() {
+        this.isRunning = false;
+        if (this.frameId !== null) {
+            this.frameView.cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    resize() {
+        const view = this.canvas.ownerDocument.defaultView;
+        const ratio = view.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx2d.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.width = width;
+        this.height = height;
+        this.spectrogram = null;
+
+        // 横1pxごとに担当するFFTビンの範囲 (低域は補間、高域は範囲内の最大値)
+        const binHz = audio.sampleRate / FFT_SIZE;
+        this.pixelBins = [];
+        for (let x = 0; x < Math.max(1, Math.round(width)); x++) {
+            const lo = this.xToFreq(x) / binHz;
+            const hi = this.xToFreq(x + 1) / binHz;
+            this.pixelBins.push([lo, hi]);
+        }
+    }
+
+    // --- Coordinates ---
+    xToFreq(x) {
+        return MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, x / this.width);
+    }
+
+    freqToX(freq) {
+        return Math.log(freq / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ) * this.width;
+    }
+
+    dbToY(db) {
+        return (MAX_DB - db) / (MAX_DB - MIN_DB) * this.height;
+    }
+
+    diffToY(db) {
+        return (1 - (db + DIFF_RANGE) / (DIFF_RANGE * 2)) * this.height;
+    }
+
+    // --- Measurement ---
+    update(dt) {
+        this.measure(this.traceA, this.settings.sourceA, dt);
+        this.measure(this.traceB, this.settings.sourceB, dt);
+    }
+
+    measure(trace, source, dt) {
+        const analysers = source ? audio.getStripAnalysers(source.kind, source.id) : null;
+        if (!analysers) {
+            trace.reset();
+            return;
+        }
+        trace.power.fill(0);
+        const channels = [analysers.analyserL, analysers.analyserR].filter(a => a);
+        channels.forEach(analyser => {
+            analyser.getFloatTimeDomainData(this.samples);
+            addPowerSpectrum(this.samples, this.re, this.im, trace.power);
+        });
+        if (channels.length > 0) trace.power.forEach((p, i) => { trace.power[i] = p / channels.length; });
+
+        const tau = AVERAGING[this.settings.averaging] || 0;
+        const keep = tau > 0 ? Math.exp(-dt / tau) : 0;
+        if (!trace.average) trace.average = Float32Array.from(trace.power);
+        else trace.average.forEach((p, i) => { trace.average[i] = p * keep + trace.power[i] * (1 - keep); });
+
+        if (!trace.peak) trace.peak = Float32Array.from(trace.average);
+        else trace.average.forEach((p, i) => { if (p > trace.peak[i]) trace.peak[i] = p; });
+    }
+
+    // 横1px分のパワー (spectrum: Float32Array)
+    pixelPower(spectrum, x) {
+        const [lo, hi] = this.pixelBins[x];
+        const first = Math.floor(lo);
+        const last = Math.floor(hi);
+        if (last <= first) {
+            const i = Math.min(spectrum.length - 2, first);
+            const f = lo - i;
+            return spectrum[i] * (1 - f) + spectrum[i + 1] * f;
+        }
+        let max = 0;
+        for (let i = first; i <= Math.min(spectrum.length - 1, last); i++) if (spectrum[i] > max) max = spectrum[i];
+        return max;
+    }
+
+    // --- Drawing ---
+    draw() {
+        if (this.width === 0 || this.height === 0) return;
+        if (this.settings.mode === 'spectrogram') this.drawSpectrogram();
+        else this.drawSpectrum();
+    }
+
+    drawSpectrum() {
+        const g = this.ctx2d;
+        g.clearRect(0, 0, this.width, this.height);
+        this.drawGrid(g);
+
+        if (this.traceB.average) {
+            if (this.settings.peakHold) this.drawCurve(g, this.traceB.peak, COLOR_B, 1, 0.4);
+            this.drawCurve(g, this.traceB.average, COLOR_B, 1.5, 1);
+        }
+        if (this.traceA.average) {
+            if (this.settings.peakHold) this.drawCurve(g, this.traceA.peak, COLOR_A, 1, 0.4);
+            this.drawCurve(g, this.traceA.average, COLOR_A, 1.5, 1);
+        }
+        if (this.settings.diff && this.traceA.average && this.traceB.average) this.drawDiff(g);
+    }
+
+    drawGrid(g) {
+        g.lineWidth = 1;
+        g.font = '9px sans-serif';
+        g.fillStyle = '#555';
+        g.strokeStyle = '#2e2e2e';
+        GRID_FREQS.forEach(freq => {
+            const x = Math.round(this.freqToX(freq)) + 0.5;
+            g.beginPath();
+            g.moveTo(x, 0);
+            g.lineTo(x, this.height);
+            g.stroke();
+            g.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + 2, this.height - 3);
+        });
+        GRID_DBS.forEach(db => {
+            const y = Math.round(this.dbToY(db)) + 0.5;
+            g.beginPath();
+            g.moveTo(0, y);
+            g.lineTo(this.width, y);
+            g.stroke();
+            g.fillText(`${db}`, 2, y - 2);
+        });
+    }
+
+    drawCurve(g, spectrum, color, lineWidth, alpha) {
+        g.beginPath();
+        for (let x = 0; x < this.pixelBins.length; x++) {
+            const y = this.dbToY(Math.max(MIN_DB, powerToDb(this.pixelPower(spectrum, x))));
+            if (x === 0) g.moveTo(x, y);
+            else g.lineTo(x, y);
+        }
+        g.globalAlpha = alpha;
+        g.strokeStyle = color;
+        g.lineWidth = lineWidth;
+        g.stroke();
+        g.globalAlpha = 1;
+    }
+
+    // B - A (例: 出力 - 入力 = 出力段で掛かっている処理)。右軸 ±DIFF_RANGE dB
+    drawDiff(g) {
+        g.font = '9px sans-serif';
+        g.fillStyle = COLOR_DIFF;
+        g.textAlign = 'right';
+        [DIFF_RANGE, 0, -DIFF_RANGE].forEach(db => {
+            const y = Math.min(this.height - 2, Math.max(9, this.diffToY(db) + 3));
+            g.fillText(`${db > 0 ? '+' : ''}${db}`, this.width - 2, y);
+        });
+        g.textAlign = 'start';
+
+        g.beginPath();
+        for (let x = 0; x < this.pixelBins.length; x++) {
+            const a = powerToDb(this.pixelPower(this.traceA.average, x));
+            const b = powerToDb(this.pixelPower(this.traceB.average, x));
+            // 両方が無音に近い帯域は差分に意味が無いので0dBとする
+            const diff = a < MIN_DB && b < MIN_DB ? 0 : Math.max(-DIFF_RANGE, Math.min(DIFF_RANGE, b - a));
+            const y = this.diffToY(diff);
+            if (x === 0) g.moveTo(x, y);
+            else g.lineTo(x, y);
+        }
+        g.strokeStyle = COLOR_DIFF;
+        g.lineWidth = 1.5;
+        g.stroke();
+    }
+
+    // 右端に最新の列を描き、左へスクロールする (B がある場合は上: A / 下: B)
+    drawSpectrogram() {
+        const doc = this.canvas.ownerDocument;
+        const ratio = this.canvas.width / this.width;
+        if (!this.spectrogram) {
+            this.spectrogram = doc.createElement('canvas');
+            this.spectrogram.width = this.canvas.width;
+            this.spectrogram.height = this.canvas.height;
+        }
+        const sg = this.spectrogram.getContext('2d');
+        const w = this.spectrogram.width;
+        const h = this.spectrogram.height;
+        const step = Math.max(1, Math.round(ratio));
+        sg.drawImage(this.spectrogram, -step, 0);
+
+        const traces = this.traceB.average ? [this.traceA, this.traceB] : [this.traceA];
+        const bandHeight = Math.floor(h / traces.length);
+        const column = sg.createImageData(step, h);
+        traces.forEach((trace, t) => {
+            for (let y = 0; y < bandHeight; y++) {
+                let rgb = [0, 0, 0];
+                if (trace.average) {
+                    // 縦軸は下が低域の対数周波数
+                    const freq = MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, 1 - y / bandHeight);
+                    const x = Math.min(this.pixelBins.length - 1, Math.floor(this.freqToX(freq)));
+                    const db = powerToDb(this.pixelPower(trace.average, x));
+                    rgb = heatColor((db - MIN_DB) / (MAX_DB - MIN_DB));
+                }
+                for (let s = 0; s < step; s++) {
+                    const offset = ((t * bandHeight + y) * step + s) * 4;
+                    column.data[offset] = rgb[0];
+                    column.data[offset + 1] = rgb[1];
+                    column.data[offset + 2] = rgb[2];
+                    column.data[offset + 3] = 255;
+                }
+            }
+        });
+        sg.putImageData(column, w - step, 0);
+
+        const g = this.ctx2d;
+        g.clearRect(0, 0, this.width, this.height);
+        g.drawImage(this.spectrogram, 0, 0, this.width, this.height);
+        g.font = '9px sans-serif';
+        g.fillStyle = '#ccc';
+        traces.forEach((trace, t) => {
+            const top = t * this.height / traces.length;
+            g.fillStyle = t === 0 ? COLOR_A : COLOR_B;
+            g.fillText(t === 0 ? 'A' : 'B', 4, top + 11);
+        });
+    }
+}
+
+module.exports = Analyzer;
@@ -3,6 +3,9 @@ const store = require('./js/store');
 const audio = require('./js/audio');
 const ipc = require('./js/ipc');
 const ui = require('./js/ui');
+const recorder = require('./js/recorder');
+const remote = require('./js/remote');
+const osc = require('./js/osc');
 
 async function main() {
     console.log("Starting UX Audio Router...");
@@ -12,13 +15,29 @@ async function main() {
 
     // 2. UI初期化 (同期)
     await ui.init();
+    if (store.loadError) ui.showLoadError(store.loadError);
 
     // 3. IPCサーバー起動（UI更新コールバックを設定）
-    ipc.onStatusChange = (connected, rate) => {
-        ui.updateStatusDot(connected, rate);
+    ipc.onStatusChange = (slotId, connected, rate, info) => {
+        ui.updateDirectStatus(slotId, connected, rate, info);
     };
     ipc.start();
 
+    // デバイスのch数が分かったらch選択肢を更新
+    audio.onDeviceChannels = () => ui.refreshChannelSelects();
+
+    // リモートコントロール API (サーバーはメインプロセス、設定が有効な場合だけ待ち受ける)
+    remote.onStatusChange = (status) => ui.updateRemoteStatus(status);
+    remote.start();
+
+    // OSC コントロールサーフェス
+    osc.onStatusChange = (status) => ui.updateOscStatus(status);
+    osc.onEngineChange = (running) => ui.updateStartBtn(running);
+    osc.start();
+
+    // 書き込みエラー (ディスクフル等) で録音が止まったら通知
+    recorder.onError = (message) => ui.onRecorderError(message);
+
     // 4. オーディオエンジン自動スタート
     try {
         await audio.start();
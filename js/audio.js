@@ -1,69 +1,54 @@
 // js/audio.js
 const store = require('./store');
-
-// --- Ring Buffer Implementation ---
-class RingBuffer {
-    constructor(size, channels) {
-        this.size = size;
-        this.channels = channels;
-        this.buffers = [];
-        for (let i = 0; i < channels; i++) {
-            this.buffers[i] = new Float32Array(size);
-        }
-        this.writePtr = 0;
-        this.readPtr = 0;
-        this.available = 0;
-    }
-
-    push(floatArray, inputChannels) {
-        if (!inputChannels) inputChannels = this.channels; // Guard
-        const samplesPerCh = floatArray.length / inputChannels;
-        const copyCh = Math.min(this.channels, inputChannels);
-
-        for (let i = 0; i < samplesPerCh; i++) {
-            for (let ch = 0; ch < copyCh; ch++) {
-                this.buffers[ch][this.writePtr] = floatArray[i * inputChannels + ch];
-            }
-            this.writePtr = (this.writePtr + 1) % this.size;
-
-            if (this.available < this.size) {
-                this.available++;
-            } else {
-                this.readPtr = (this.readPtr + 1) % this.size;
-            }
-        }
-    }
-
-    pop(outputBuffers, count) {
-        if (this.available < count) return false;
-
-        for (let i = 0; i < count; i++) {
-            for (let ch = 0; ch < this.channels; ch++) {
-                outputBuffers[ch][i] = this.buffers[ch][this.readPtr];
-            }
-            this.readPtr = (this.readPtr + 1) % this.size;
-        }
-        this.available -= count;
-        return true;
-    }
-
-    clear() {
-        this.readPtr = 0;
-        this.writePtr = 0;
-        this.available = 0;
-    }
-}
+const { Resampler } = require('./resampler');
+const DriftController = require('./drift');
+const SabRingBuffer = require('./sab-ring');
+const inputChain = require('./input-chain');
+const sends = require('./sends');
+const stereo = require('./stereo');
+const channels = require('./channels');
+const LinkSender = require('./link-sender');
+
+// Direct Link 出力の送信単位 (10ms)
+const LINK_CHUNK_FRAMES = 480;
+
+// AudioWorkletGlobalScope へ読み込むモジュール (順序どおりに addModule される)
+const WORKLET_MODULES = [
+    'js/sab-ring.js',
+    'js/worklets/direct-player.js',
+    'js/worklets/noise-gate.js',
+    'js/worklets/loudness-meter.js',
+    'js/worklets/pcm-tap.js'
+];
 
 class AudioEngine {
     constructor() {
+        // --- Capture Stage ---
+        // 全ハードウェア入力は1つのキャプチャ用コンテキストで1回だけ取り込み・計測し、
+        // 出力ごとのミックスバス (MediaStream) として各出力コンテキストへ配る
+        this.captureContext = null;
+        // deviceId -> { stream, source, splitter } (同じデバイスを使う入力で共有し、デバイスは1回だけ開く)
+        this.captureDevices = new Map();
+        // deviceId -> 実際に開けたch数 (UIのch選択肢用、停止後も保持)
+        this.deviceChannelCounts = new Map();
+        // inputId -> { stream, device, source, chain, chainKey, output, analyserL, analyserR }
         this.hardwareInputs = new Map();
+        // outputId -> { sends: Map<inputId, GainNode>, bus, dest }
+        this.captureBuses = new Map();
         this.isRunning = false;
-        this.directAnalyserL = null;
-        this.directAnalyserR = null;
+        // 全出力コンテキスト共通の動作レート
+        this.sampleRate = 48000;
         this.strips = new Map();
-        this.ringBuffer = new RingBuffer(48000 * 2, 2);
-        this.schedulerInterval = null;
-        this.tempBuffers = [new Float32Array(1024), new Float32Array(1024)];
+        // Direct Link slotId -> { targetLatency, sampleRate, analyserL, analyserR }
+        // 再生用のリングバッファ/Workletは出力コンテキストごとに strip.directSinks が持つ
+        this.directSources = new Map();
+        // 停止中のEQカーブ計算用 (レンダリングはしない)
+        this.responseContext = null;
+        // outputId -> BiquadFilterNode[] (毎フレーム作り直さず、設定値を反映して使い回す)
+        this.responseNodes = new Map();
+
+        // 入力/出力デバイスのch数が判明・変化した (UIのch選択肢の更新用)
+        this.onDeviceChannels = null;
     }
 
     async start() {
@@ -71,6 +56,7 @@ class AudioEngine {
         this.isRunning = true;
 
         try {
+            await this.createCaptureContext();
             for (const inputData of store.data.inputs) {
                 if (!this.isRunning) return; // 中断ガード
                 await this.setupHardwareInput(inputData);
@@ -81,7 +67,7 @@ class AudioEngine {
             }
             if (!this.isRunning) return;
             this.updateAllGains();
-            this.schedulerInterval = setInterval(() => this.scheduleAudio(), 20);
+            if (this.onDeviceChannels) this.onDeviceChannels();
 
         } catch (e) {
             console.error("Audio Engine Start Error:", e);
@@ -93,122 +79,320 @@ class AudioEngine {
     stop() {
         if (!this.isRunning) return;
 
-        if (this.schedulerInterval) {
-            clearInterval(this.schedulerInterval);
-            this.schedulerInterval = null;
-        }
-
         this.strips.forEach(strip => {
+            this.closeStripLink(strip);
             if (strip.context) strip.context.close();
         });
         this.strips.clear();
 
-        this.hardwareInputs.forEach(hw => {
-            if (hw.stream) hw.stream.getTracks().forEach(t => t.stop());
+        this.captureDevices.forEach(device => {
+            device.stream.getTracks().forEach(t => t.stop());
         });
+        this.captureDevices.clear();
         this.hardwareInputs.clear();
+        this.captureBuses.clear();
+        if (this.captureContext) {
+            this.captureContext.close();
+            this.captureContext = null;
+        }
 
-        this.directAnalyserL = null;
-        this.directAnalyserR = null;
+        this.directSources.forEach(src => {
+            src.analyserL = null;
+            src.analyserR = null;
+        });
         this.isRunning = false;
     }
 
+    async createCaptureContext() {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)({
+            latencyHint: 'interactive', sampleRate: this.sampleRate
+        });
+        // キャプチャ段はデバイスへ出力しない
+        if (typeof ctx.setSinkId === 'function') {
+            try { await ctx.setSinkId({ type: 'none' }); } catch (e) { }
+        }
+        await this.loadWorklets(ctx);
+        this.captureContext = ctx;
+    }
+
+    /**
+     * 入力デバイスを開く (既に開いていれば共有する)。
+     * そのデバイスを使う全入力が選んでいるchまで取れるように ch数を要求する
+     */
+    async openCaptureDevice(deviceId) {
+        let device = this.captureDevices.get(deviceId);
+        if (device) return device;
+
+        const needed = Math.max(2, ...store.data.inputs
+            .filter(i => i.deviceId === deviceId)
+            .map(i => channels.requiredCount(i.channels)));
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: { exact: deviceId },
+                autoGainControl: false, echoCancellation: false, noiseSuppression: false,
+                channelCount: { ideal: needed }, sampleRate: this.sampleRate
+            }
+        });
+        const ctx = this.captureContext;
+        const source = ctx.createMediaStreamSource(stream);
+        const track = stream.getAudioTracks()[0];
+        const opened = (track && track.getSettings().channelCount) || 2;
+        // デバイスに無いchを選んでいる入力は無音になる
+        const splitter = ctx.createChannelSplitter(Math.max(opened, needed));
+        source.connect(splitter);
+
+        device = { stream: stream, source: source, splitter: splitter };
+        this.captureDevices.set(deviceId, device);
+        this.deviceChannelCounts.set(deviceId, opened);
+        return device;
+    }
+
+    getInputChannelCount(deviceId) {
+        return this.deviceChannelCounts.get(deviceId) || 0;
+    }
+
+    // 選択したch (1chならL/R両方) をステレオの入力ソースへまとめる
+    connectInputChannels(hw, inputChannels) {
+        const [left, right = left] = inputChannels;
+        hw.device.splitter.disconnect(hw.source);
+        hw.device.splitter.connect(hw.source, left, 0);
+        hw.device.splitter.connect(hw.source, right, 1);
+    }
+
+    /**
+     * 動作中の入力のch選択を切り替える
+     * @returns {boolean} false: 開いているデバイスのch数が足りない (エンジンの再起動が必要)
+     */
+    setInputChannels(id) {
+        const hw = this.hardwareInputs.get(id);
+        const data = store.data.inputs.find(i => i.id === id);
+        if (!hw || !data) return true;
+        if (channels.requiredCount(data.channels) > hw.device.splitter.numberOfOutputs) return false;
+        this.connectInputChannels(hw, data.channels);
+        return true;
+    }
+
     async setupHardwareInput(inputData) {
         if (this.hardwareInputs.has(inputData.id)) return;
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    deviceId: { exact: inputData.deviceId },
-                    autoGainControl: false, echoCancellation: false, noiseSuppression: false,
-                    channelCount: 2, sampleRate: 48000
-                }
-            });
-            this.hardwareInputs.set(inputData.id, {
-                stream: stream,
-                analyserL: null,
-                analyserR: null
-            });
+            const device = await this.openCaptureDevice(inputData.deviceId);
+            const ctx = this.captureContext;
+            const source = ctx.createChannelMerger(2);
+            const chain = this.createInputChain(ctx, inputData.processing);
+            chain.stereo = this.createStereoStage(ctx, inputData.stereo);
+            // 入力ごとの処理の終端 (ここから各出力バスへ分配)
+            const output = ctx.createGain();
+
+            const splitter = ctx.createChannelSplitter(2);
+            output.connect(splitter);
+            const analyserL = ctx.createAnalyser();
+            analyserL.fftSize = 2048;
+            splitter.connect(analyserL, 0);
+            const analyserR = ctx.createAnalyser();
+            analyserR.fftSize = 2048;
+            splitter.connect(analyserR, 1);
+
+            const hw = {
+                stream: device.stream,
+                device: device,
+                source: source,
+                chain: chain,
+                chainKey: null,
+                output: output,
+                analyserL: analyserL,
+                analyserR: analyserR
+            };
+            this.hardwareInputs.set(inputData.id, hw);
+            this.connectInputChannels(hw, inputData.channels);
+            this.connectInputChain(hw, inputData.processing);
         } catch (e) {
             console.warn(`Failed to open input ${inputData.id}:`, e);
         }
     }
 
-    async createStripContext(outputData) {
-        const ctx = new (window.AudioContext || window.webkitAudioContext)({
-            latencyHint: 'interactive', sampleRate: 48000
+    // --- Input Processing ---
+    // Source -> Polarity -> HPF -> Gate -> EQ (Low/Mid/High) -> Stereo -> Output
+    createInputChain(ctx, processing) {
+        const polarity = ctx.createGain();
+        polarity.gain.value = processing.polarity ? -1 : 1;
+
+        const hpf = ctx.createBiquadFilter();
+        hpf.type = 'highpass';
+        hpf.frequency.value = processing.hpf.frequency;
+        hpf.Q.value = Math.SQRT1_2;
+
+        const gate = new AudioWorkletNode(ctx, 'ux-noise-gate', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2]
+        });
+        ['threshold', 'attack', 'release', 'range'].forEach(key => {
+            gate.parameters.get(key).value = processing.gate[key];
         });
 
-        if (outputData.selectedDeviceId && typeof ctx.setSinkId === 'function') {
-            try { await ctx.setSinkId(outputData.selectedDeviceId); } catch (e) { }
-        }
+        const eq = Object.keys(inputChain.EQ_BANDS).map(key => {
+            const band = inputChain.EQ_BANDS[key];
+            const filter = ctx.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.Q.value = band.q;
+            filter.gain.value = processing.eq[key];
+            return filter;
+        });
+
+        return { polarity: polarity, hpf: hpf, gate: gate, eq: eq };
+    }
 
-        const hardwareMixBus = ctx.createGain();
-        const hwInputGains = new Map();
+    // HPF/ゲートは無効時に経路から外す (有効/無効が変わったときだけ繋ぎ直す)
+    connectInputChain(hw, processing) {
+        const key = `${processing.hpf.enabled}:${processing.gate.enabled}`;
+        if (hw.chainKey === key) return;
+        hw.chainKey = key;
+
+        const chain = hw.chain;
+        hw.source.disconnect();
+        chain.polarity.disconnect();
+        chain.hpf.disconnect();
+        chain.gate.disconnect();
+        chain.eq.forEach(filter => filter.disconnect());
+        chain.stereo.output.disconnect();
+
+        const nodes = [chain.polarity];
+        if (processing.hpf.enabled) nodes.push(chain.hpf);
+        if (processing.gate.enabled) nodes.push(chain.gate);
+        nodes.push(...chain.eq, chain.stereo.input);
+
+        let prev = hw.source;
+        nodes.forEach(node => {
+            prev.connect(node);
+            prev = node;
+        });
+        chain.stereo.output.connect(hw.output);
+    }
 
-        this.hardwareInputs.forEach((hw, inputId) => {
-            const source = ctx.createMediaStreamSource(hw.stream);
+    updateInputParams(id, fade = 0) {
+        const hw = this.hardwareInputs.get(id);
+        const data = store.data.inputs.find(i => i.id === id);
+        if (!hw || !data) return;
+
+        const ctx = this.captureContext;
+        const processing = data.processing;
+        const chain = hw.chain;
+        this.rampParam(chain.polarity.gain, processing.polarity ? -1 : 1, ctx, 0.01, fade);
+        this.rampParam(chain.hpf.frequency, processing.hpf.frequency, ctx, 0.05, fade);
+        ['threshold', 'attack', 'release', 'range'].forEach(key => {
+            chain.gate.parameters.get(key).value = processing.gate[key];
+        });
+        Object.keys(inputChain.EQ_BANDS).forEach((key, i) => {
+            this.rampParam(chain.eq[i].gain, processing.eq[key], ctx, 0.05, fade);
+        });
+        this.updateStereoStage(chain.stereo, data.stereo, ctx, fade);
+        this.connectInputChain(hw, processing);
+    }
 
-            // Create Stereo Analysers for this input if not exists
-            if (!hw.analyserL || hw.analyserL.context.state === 'closed') {
-                const splitter = ctx.createChannelSplitter(2);
-                source.connect(splitter);
+    // --- Stereo Tools ---
+    // pan/幅/モノラル/入れ替え/極性を 2x2 のゲイン行列 (stereo.matrix()) として処理する
+    createStereoStage(ctx, settings) {
+        // モノラルのソースは speakers のアップミックスで両chへ複製してから分ける
+        const input = ctx.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+        input.connect(splitter);
+
+        const m = stereo.matrix(settings);
+        const gains = {};
+        // [行列の要素, 入力ch, 出力ch]
+        [['ll', 0, 0], ['lr', 1, 0], ['rl', 0, 1], ['rr', 1, 1]].forEach(([key, from, to]) => {
+            const gain = ctx.createGain();
+            gain.gain.value = m[key];
+            splitter.connect(gain, from);
+            gain.connect(merger, 0, to);
+            gains[key] = gain;
+        });
+        return { input: input, output: merger, gains: gains };
+    }
 
-                hw.analyserL = ctx.createAnalyser();
-                hw.analyserL.fftSize = 2048;
-                splitter.connect(hw.analyserL, 0);
+    updateStereoStage(stage, settings, ctx, fade = 0) {
+        const m = stereo.matrix(settings);
+        Object.keys(stage.gains).forEach(key => this.rampParam(stage.gains[key].gain, m[key], ctx, 0.02, fade));
+    }
 
-                hw.analyserR = ctx.createAnalyser();
-                hw.analyserR.fftSize = 2048;
-                splitter.connect(hw.analyserR, 1);
-            }
+    // 出力1つ分のハードウェア入力ミックスをキャプチャ段で作成する
+    createCaptureBus(outputId) {
+        const ctx = this.captureContext;
+        const bus = ctx.createGain();
+        const dest = ctx.createMediaStreamDestination();
+        bus.connect(dest);
 
+        const sends = new Map();
+        this.hardwareInputs.forEach((hw, inputId) => {
             const gain = ctx.createGain();
             gain.gain.value = 0;
-            source.connect(gain);
-            gain.connect(hardwareMixBus);
-            hwInputGains.set(inputId, gain);
+            hw.output.connect(gain);
+            gain.connect(bus);
+            sends.set(inputId, gain);
         });
 
-        const directGain = ctx.createGain();
-        directGain.gain.value = 0;
+        const captureBus = { sends: sends, bus: bus, dest: dest };
+        this.captureBuses.set(outputId, captureBus);
+        return captureBus;
+    }
 
-        if (!this.directAnalyserL || this.directAnalyserL.context.state === 'closed') {
-            const dSplitter = ctx.createChannelSplitter(2);
-            directGain.connect(dSplitter);
+    removeCaptureBus(outputId) {
+        const captureBus = this.captureBuses.get(outputId);
+        if (!captureBus) return;
+        captureBus.sends.forEach(gain => gain.disconnect());
+        captureBus.bus.disconnect();
+        this.captureBuses.delete(outputId);
+    }
 
-            this.directAnalyserL = ctx.createAnalyser();
-            this.directAnalyserL.fftSize = 2048;
-            dSplitter.connect(this.directAnalyserL, 0);
+    async createStripContext(outputData) {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)({
+            latencyHint: 'interactive', sampleRate: this.sampleRate
+        });
 
-            this.directAnalyserR = ctx.createAnalyser();
-            this.directAnalyserR.fftSize = 2048;
-            dSplitter.connect(this.directAnalyserR, 1);
+        const sinkId = this.getSinkId(outputData);
+        if (sinkId && typeof ctx.setSinkId === 'function') {
+            try { await ctx.setSinkId(sinkId); } catch (e) { }
         }
+        await this.loadWorklets(ctx);
+
+        // キャプチャ段で作られたこの出力用のハードウェアミックスを受け取る
+        const captureBus = this.createCaptureBus(outputData.id);
+        const hardwareMixBus = ctx.createMediaStreamSource(captureBus.dest.stream);
+
+        const directGains = new Map();
+        const directSinks = new Map();
+        store.data.directs.forEach(d => {
+            const gain = this.createDirectGain(ctx, d.id);
+            directGains.set(d.id, gain);
+            directSinks.set(d.id, this.createDirectSink(ctx, gain));
+        });
 
         // --- Effects Chain ---
 
-        // 1. 10-Band Graphic EQ (31Hz ~ 16kHz)
-        const eqNodes = [];
-        const gains = outputData.eqGains || new Array(10).fill(0);
-
-        store.eqFrequencies.forEach((freq, i) => {
-            const filter = ctx.createBiquadFilter();
-            filter.type = 'peaking';
-            filter.frequency.value = freq;
-            filter.Q.value = 1.4; // 1オクターブ帯域幅に最適化
-            filter.gain.value = gains[i] || 0;
-            eqNodes.push(filter);
-        });
+        // 1. EQ (グラフィック10バンド / パラメトリック)
+        const eqNodes = outputData.eq.bands.map(band => this.createEqNode(ctx, band));
 
         // 2. Compressor
         const compressor = ctx.createDynamicsCompressor();
         this.applyCompressorSettings(compressor, outputData.compressor);
 
+        // 2.1 Makeup Gain (コンプレッサーで下がったレベルを持ち上げる)
+        const makeupGain = ctx.createGain();
+        makeupGain.gain.value = this.getMakeupGain(outputData.compressor);
+
         // 3. Delay
         const delayNode = ctx.createDelay(1.0);
         delayNode.delayTime.value = (outputData.delayMs || 0) / 1000;
 
-        // 4. Master
+        // 4. Stereo (Pan/Width/Mono/Swap/Polarity)
+        const stereoStage = this.createStereoStage(ctx, outputData.stereo);
+
+        // 5. Master
         const masterVol = ctx.createGain();
         masterVol.gain.value = outputData.isMuted ? 0 : outputData.volume;
 
@@ -219,39 +403,428 @@ class AudioEngine {
         outAnalyserR.fftSize = 2048;
 
         // --- Connections ---
-        // Inputs -> EQ[0] -> ... -> EQ[9] -> Compressor -> Delay -> Master
+        // Inputs -> MixBus -> EQ[0] -> ... -> EQ[n-1] -> Compressor -> Makeup -> Delay -> Stereo -> Master -> (Output Channels)
 
-        hardwareMixBus.connect(eqNodes[0]);
-        directGain.connect(eqNodes[0]);
-
-        // Chain EQ nodes
-        for (let i = 0; i < eqNodes.length - 1; i++) {
-            eqNodes[i].connect(eqNodes[i + 1]);
-        }
-
-        const eqLast = eqNodes[eqNodes.length - 1];
-        eqLast.connect(compressor);
-        compressor.connect(delayNode);
-        delayNode.connect(masterVol);
+        const mixBus = ctx.createGain();
+        hardwareMixBus.connect(mixBus);
+        directGains.forEach(gain => gain.connect(mixBus));
+        this.connectEqChain(mixBus, eqNodes, compressor);
+        compressor.connect(makeupGain);
+        makeupGain.connect(delayNode);
+        delayNode.connect(stereoStage.input);
+        stereoStage.output.connect(masterVol);
 
         masterVol.connect(outSplitter);
         outSplitter.connect(outAnalyserL, 0);
         outSplitter.connect(outAnalyserR, 1);
 
-        masterVol.connect(ctx.destination);
+        // ラウドネス (ポストフェーダー、100msごとに更新される)
+        const loudnessNode = new AudioWorkletNode(ctx, 'ux-loudness-meter', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0
+        });
+        masterVol.connect(loudnessNode);
+        const loudness = { momentary: -Infinity, shortTerm: -Infinity, integrated: -Infinity };
+        loudnessNode.port.onmessage = (e) => Object.assign(loudness, e.data);
 
-        this.strips.set(outputData.id, {
+        const strip = {
             context: ctx,
-            hwInputGains: hwInputGains,
-            directGain: directGain,
+            hardwareMixBus: hardwareMixBus,
+            directGains: directGains,
+            directSinks: directSinks,
+            mixBus: mixBus,
             masterVol: masterVol,
             eqNodes: eqNodes, // Array of BiquadFilterNode
             compressor: compressor,
+            makeupGain: makeupGain,
             delayNode: delayNode,
+            stereoStage: stereoStage,
             analyserL: outAnalyserL,
             analyserR: outAnalyserR,
-            nextAudioTime: 0
+            loudnessNode: loudnessNode,
+            loudness: loudness,
+            outputRouter: null,
+            outputMerger: null,
+            channelsKey: null,
+            // Direct Link 出力 (type: 'link') の送信: { sender, tap }
+            link: null
+        };
+        this.strips.set(outputData.id, strip);
+        this.connectOutputChannels(strip, outputData.channels);
+        this.updateStripLink(strip, outputData);
+    }
+
+    // Direct Link 出力はサウンドカードへ出さない
+    getSinkId(outputData) {
+        if (outputData.type === 'link') return { type: 'none' };
+        return outputData.selectedDeviceId;
+    }
+
+    // 出力の種類/送信先に合わせて Direct Link の送信を開始・停止する (送信するのはフェーダー後の masterVol)
+    updateStripLink(strip, outputData) {
+        if (outputData.type !== 'link') {
+            this.closeStripLink(strip);
+            return;
+        }
+        if (!strip.link) {
+            const sender = new LinkSender(strip.context.sampleRate);
+            const tap = new AudioWorkletNode(strip.context, 'ux-pcm-tap', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 2,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'speakers',
+                processorOptions: { chunkFrames: LINK_CHUNK_FRAMES }
+            });
+            tap.port.onmessage = (e) => {
+                if (e.data instanceof Float32Array) sender.send(e.data);
+            };
+            strip.masterVol.connect(tap);
+            strip.link = { sender: sender, tap: tap };
+        }
+        strip.link.sender.setPath(outputData.linkPath);
+    }
+
+    closeStripLink(strip) {
+        if (!strip.link) return;
+        strip.link.tap.port.postMessage('stop');
+        strip.masterVol.disconnect(strip.link.tap);
+        strip.link.sender.close();
+        strip.link = null;
+    }
+
+    /**
+     * @returns {{state: string, path: string, error: string, droppedFrames: number}|null} Direct Link 出力でなければ null
+     */
+    getLinkStatus(outputId) {
+        const strip = this.strips.get(outputId);
+        if (!strip || !strip.link) return null;
+        const sender = strip.link.sender;
+        return { state: sender.state, path: sender.path, error: sender.lastError, droppedFrames: sender.droppedFrames };
+    }
+
+    // Master -> 出力デバイスの選択したch (1chならL/Rをモノラルにまとめる)。その他のchは無音
+    connectOutputChannels(strip, outputChannels, force = false) {
+        const key = channels.key(outputChannels);
+        if (!force && strip.channelsKey === key) return;
+        strip.channelsKey = key;
+
+        const ctx = strip.context;
+        const dest = ctx.destination;
+        const count = Math.max(1, dest.maxChannelCount);
+        if (strip.outputRouter) {
+            strip.masterVol.disconnect(strip.outputRouter);
+            strip.outputMerger.disconnect();
+        }
+        dest.channelCount = count;
+        dest.channelCountMode = 'explicit';
+        dest.channelInterpretation = 'discrete';
+
+        const router = ctx.createGain();
+        const merger = ctx.createChannelMerger(count);
+        strip.masterVol.connect(router);
+        if (outputChannels.length === 1) {
+            if (outputChannels[0] < count) router.connect(merger, 0, outputChannels[0]);
+        } else {
+            const splitter = ctx.createChannelSplitter(2);
+            router.connect(splitter);
+            outputChannels.forEach((c, i) => {
+                if (c < count) splitter.connect(merger, i, c);
+            });
+        }
+        merger.connect(dest);
+        strip.outputRouter = router;
+        strip.outputMerger = merger;
+    }
+
+    // { momentary, shortTerm, integrated } (LUFS)
+    getLoudness(outputId) {
+        const strip = this.strips.get(outputId);
+        return strip ? strip.loudness : null;
+    }
+
+    resetLoudness(outputId) {
+        const strip = this.strips.get(outputId);
+        if (strip) strip.loudnessNode.port.postMessage({ type: 'reset' });
+    }
+
+    getOutputChannelCount(outputId) {
+        const strip = this.strips.get(outputId);
+        return strip ? strip.context.destination.maxChannelCount : 0;
+    }
+
+    /**
+     * メーター/アナライザー用の AnalyserNode (L/R)
+     * @param {'input'|'direct'|'output'} kind
+     * @returns {{analyserL: AnalyserNode, analyserR: AnalyserNode}|null}
+     */
+    getStripAnalysers(kind, id) {
+        let node = null;
+        if (kind === 'input') node = this.hardwareInputs.get(id);
+        else if (kind === 'direct') node = this.directSources.get(id);
+        else if (kind === 'output') node = this.strips.get(id);
+        if (!node || !node.analyserL) return null;
+        return { analyserL: node.analyserL, analyserR: node.analyserR };
+    }
+
+    /**
+     * 録音の接続元ノード (エンジン停止中や未接続は null)
+     * 入力: 入力処理の後 (フェーダー前)、Direct: 受信した音声 (フェーダー前)、出力: masterVol (フェーダー後)
+     * @param {'input'|'direct'|'output'} kind
+     * @returns {AudioNode|null}
+     */
+    getRecordSource(kind, id) {
+        if (kind === 'input') {
+            const hw = this.hardwareInputs.get(id);
+            return hw ? hw.output : null;
+        }
+        if (kind === 'direct') {
+            for (const strip of this.strips.values()) {
+                const sink = strip.directSinks.get(id);
+                if (sink) return sink.node;
+            }
+            return null;
+        }
+        if (kind === 'output') {
+            const strip = this.strips.get(id);
+            return strip ? strip.masterVol : null;
+        }
+        return null;
+    }
+
+    createEqNode(ctx, band) {
+        const filter = ctx.createBiquadFilter();
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.Q.value = band.q;
+        filter.gain.value = band.gain;
+        return filter;
+    }
+
+    /**
+     * EQカーブ表示用に全バンドを合成した振幅特性を返す。
+     * エンジン動作中は実際の eqNodes、停止中は設定値から作ったフィルターで計算する
+     * @param {Float32Array} frequencies
+     * @returns {Float32Array|null} dB
+     */
+    getEqResponse(outputId, frequencies) {
+        const strip = this.strips.get(outputId);
+        let eqNodes = strip ? strip.eqNodes : null;
+        if (!eqNodes) {
+            const data = store.data.outputs.find(o => o.id === outputId);
+            if (!data) return null;
+            eqNodes = this.getResponseNodes(outputId, data.eq.bands);
+        }
+
+        const total = new Float32Array(frequencies.length);
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+        eqNodes.forEach(filter => {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < total.length; i++) total[i] += 20 * Math.log10(Math.max(1e-6, magnitude[i]));
+        });
+        return total;
+    }
+
+    // 停止中のカーブ計算用フィルター。バンド数の増減に合わせて足し引きし、値は毎回設定から反映する
+    getResponseNodes(outputId, bands) {
+        if (!this.responseContext || this.responseContext.sampleRate !== this.sampleRate) {
+            this.responseContext = new OfflineAudioContext(1, 1, this.sampleRate);
+            this.responseNodes.clear();
+        }
+        let nodes = this.responseNodes.get(outputId);
+        if (!nodes) {
+            nodes = [];
+            this.responseNodes.set(outputId, nodes);
+        }
+        while (nodes.length > bands.length) nodes.pop();
+        bands.forEach((band, i) => {
+            if (!nodes[i]) {
+                nodes[i] = this.createEqNode(this.responseContext, band);
+                return;
+            }
+            nodes[i].type = band.type;
+            nodes[i].frequency.value = band.frequency;
+            nodes[i].Q.value = band.q;
+            nodes[i].gain.value = band.gain;
+        });
+        return nodes;
+    }
+
+    // バンドが0個のときは MixBus から直接コンプレッサーへ
+    connectEqChain(mixBus, eqNodes, next) {
+        let prev = mixBus;
+        eqNodes.forEach(filter => {
+            prev.connect(filter);
+            prev = filter;
         });
+        prev.connect(next);
+    }
+
+    // バンド数が同じなら既存のフィルターを再調整し、違う場合はチェーンを作り直す
+    updateEqChain(nodes, bands, fade) {
+        const ctx = nodes.context;
+        if (nodes.eqNodes.length === bands.length) {
+            bands.forEach((band, i) => {
+                const filter = nodes.eqNodes[i];
+                if (filter.type !== band.type) filter.type = band.type;
+                this.rampParam(filter.frequency, band.frequency, ctx, 0.05, fade);
+                this.rampParam(filter.Q, band.q, ctx, 0.05, fade);
+                this.rampParam(filter.gain, band.gain, ctx, 0.05, fade);
+            });
+            return;
+        }
+        nodes.mixBus.disconnect();
+        nodes.eqNodes.forEach(filter => filter.disconnect());
+        nodes.eqNodes = bands.map(band => this.createEqNode(ctx, band));
+        this.connectEqChain(nodes.mixBus, nodes.eqNodes, nodes.compressor);
+    }
+
+    // スロット用のゲインを作成し、最初に作られたコンテキストでメーター用Analyserも用意する
+    createDirectGain(ctx, slotId) {
+        const src = this.getDirectSource(slotId);
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+
+        if (!src.analyserL || src.analyserL.context.state === 'closed') {
+            const dSplitter = ctx.createChannelSplitter(2);
+            gain.connect(dSplitter);
+
+            src.analyserL = ctx.createAnalyser();
+            src.analyserL.fftSize = 2048;
+            dSplitter.connect(src.analyserL, 0);
+
+            src.analyserR = ctx.createAnalyser();
+            src.analyserR.fftSize = 2048;
+            dSplitter.connect(src.analyserR, 1);
+        }
+        return gain;
+    }
+
+    // Direct Link 再生ノード: IPC側が書き込む共有リングバッファを AudioWorklet が読み出す
+    createDirectSink(ctx, gain) {
+        const ring = SabRingBuffer.create(ctx.sampleRate * 2, 2);
+        const node = new AudioWorkletNode(ctx, 'ux-direct-player', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: { ring: ring.shared }
+        });
+        node.connect(gain);
+        return {
+            ring: ring,
+            node: node,
+            rate: ctx.sampleRate,
+            resampler: new Resampler(2, store.data.resamplerQuality),
+            drift: new DriftController(),
+            lastWrite: 0,
+            underrunBase: 0
+        };
+    }
+
+    async loadWorklets(ctx) {
+        for (const url of WORKLET_MODULES) {
+            await ctx.audioWorklet.addModule(url);
+        }
+    }
+
+    getDirectSource(slotId) {
+        let src = this.directSources.get(slotId);
+        if (!src) {
+            src = {
+                targetLatency: null,
+                sampleRate: this.sampleRate,
+                analyserL: null,
+                analyserR: null
+            };
+            this.directSources.set(slotId, src);
+        }
+        return src;
+    }
+
+    // 新しい接続の割り当て時に呼ばれる。実行中の全出力にゲイン/再生ノードを用意する
+    addDirectSource(slotId) {
+        // 新しい接続ごとにカウンターと目標遅延をリセット
+        const src = this.getDirectSource(slotId);
+        src.targetLatency = null;
+        this.strips.forEach(strip => {
+            if (!strip.directGains.has(slotId)) {
+                const gain = this.createDirectGain(strip.context, slotId);
+                gain.connect(strip.mixBus);
+                strip.directGains.set(slotId, gain);
+                strip.directSinks.set(slotId, this.createDirectSink(strip.context, gain));
+            }
+            const sink = strip.directSinks.get(slotId);
+            sink.drift = new DriftController();
+            sink.underrunBase = sink.ring.underruns;
+        });
+        this.updateAllGains();
+    }
+
+    removeDirectSource(slotId) {
+        this.strips.forEach(strip => {
+            const sink = strip.directSinks.get(slotId);
+            if (sink) {
+                sink.node.port.postMessage('stop');
+                sink.node.disconnect();
+            }
+            const gain = strip.directGains.get(slotId);
+            if (gain) gain.disconnect();
+            strip.directSinks.delete(slotId);
+            strip.directGains.delete(slotId);
+        });
+        this.directSources.delete(slotId);
+    }
+
+    // バッファを破棄し、次のデータが目標量まで溜まってから再生を再開する
+    resetDirectSource(slotId) {
+        this.strips.forEach(strip => {
+            const sink = strip.directSinks.get(slotId);
+            if (!sink) return;
+            sink.ring.requestDiscard(0);
+            sink.node.port.postMessage('reset');
+            sink.resampler.reset();
+            sink.drift.reset();
+            sink.lastWrite = 0;
+        });
+    }
+
+    // 出力ごとの値を集計 (遅延は最大値、カウンターは合計)
+    getDirectStats(slotId) {
+        if (!this.directSources.has(slotId)) return null;
+        const stats = {
+            latencyMs: 0,
+            targetMs: this.getDirectTarget(slotId) * 1000,
+            ratio: 1,
+            underruns: 0,
+            overruns: 0
+        };
+        this.strips.forEach(strip => {
+            const sink = strip.directSinks.get(slotId);
+            if (!sink) return;
+            const latencyMs = sink.ring.availableRead() / sink.rate * 1000;
+            if (latencyMs >= stats.latencyMs) {
+                stats.latencyMs = latencyMs;
+                stats.ratio = sink.drift.ratio;
+            }
+            stats.underruns += sink.ring.underruns - sink.underrunBase;
+            stats.overruns += sink.drift.overruns;
+        });
+        return stats;
+    }
+
+    // Senderから目標遅延の指定があればそれを優先する
+    getDirectTarget(slotId) {
+        const src = this.directSources.get(slotId);
+        const target = src && src.targetLatency ? src.targetLatency : store.data.directBuffer;
+        return Math.min(Math.max(target || 0.02, 0.005), 0.5);
+    }
+
+    // 戻り値: 実際に適用される目標遅延 (秒)
+    setDirectTargetLatency(slotId, sec) {
+        const src = this.getDirectSource(slotId);
+        src.targetLatency = Number.isFinite(sec) && sec > 0 ? sec : null;
+        return this.getDirectTarget(slotId);
     }
 
     applyCompressorSettings(node, settings) {
@@ -260,100 +833,152 @@ class AudioEngine {
             node.ratio.value = 1;
         } else {
             node.threshold.value = settings.threshold;
+            node.knee.value = settings.knee;
             node.ratio.value = settings.ratio;
             node.attack.value = settings.attack;
             node.release.value = settings.release;
         }
     }
 
+    // バイパス中はメイクアップゲインも掛けない
+    getMakeupGain(settings) {
+        if (!settings || !settings.enabled) return 1;
+        return Math.pow(10, (settings.makeup || 0) / 20);
+    }
+
+    // 現在のゲインリダクション (dB, 0以下)
+    getCompressorReduction(outputId) {
+        const strip = this.strips.get(outputId);
+        return strip ? strip.compressor.reduction : 0;
+    }
+
     removeStripContext(id) {
         const strip = this.strips.get(id);
         if (strip) {
+            this.closeStripLink(strip);
             strip.context.close();
             this.strips.delete(id);
         }
+        this.responseNodes.delete(id);
+        this.removeCaptureBus(id);
+    }
+
+    // fade (秒) を指定した場合はシーン切替用に直線でクロスフェードする
+    // 実行中のクロスフェードが新しい値を上書きしないよう、どちらも予約済みの変化を現在値で打ち切ってから始める
+    rampParam(param, target, ctx, timeConstant, fade) {
+        const now = ctx.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        if (fade > 0) {
+            param.linearRampToValueAtTime(target, now + fade);
+        } else {
+            param.setTargetAtTime(target, now, timeConstant);
+        }
     }
 
-    updateAllGains() {
+    updateAllGains(fade = 0) {
+        this.captureBuses.forEach((captureBus, outputId) => {
+            const ctx = this.captureContext;
+            captureBus.sends.forEach((gainNode, inputId) => {
+                const inputData = store.data.inputs.find(i => i.id === inputId);
+                if (inputData) this.rampParam(gainNode.gain, sends.sendGain(inputData, outputId), ctx, 0.02, fade);
+            });
+        });
         this.strips.forEach((stripNodes, outputId) => {
             const ctx = stripNodes.context;
-            stripNodes.hwInputGains.forEach((gainNode, inputId) => {
-                const inputData = store.data.inputs.find(i => i.id === inputId);
-                if (inputData) {
-                    const isRouted = inputData.routing.includes(outputId);
-                    const target = isRouted ? inputData.volume : 0;
-                    gainNode.gain.setTargetAtTime(target, ctx.currentTime, 0.02);
-                }
+            stripNodes.directGains.forEach((gainNode, slotId) => {
+                const directData = store.data.directs.find(d => d.id === slotId);
+                const target = directData ? sends.sendGain(directData, outputId) : 0;
+                this.rampParam(gainNode.gain, target, ctx, 0.02, fade);
             });
-            const dirRouteMult = store.directRoutingSet.has(outputId) ? 1 : 0;
-            const dirMuteMult = store.data.directMuted ? 0 : 1;
-            const dirTarget = store.data.directGain * dirRouteMult * dirMuteMult;
-            stripNodes.directGain.gain.setTargetAtTime(dirTarget, ctx.currentTime, 0.02);
         });
     }
 
-    updateStripParams(id) {
+    updateStripParams(id, fade = 0) {
         const nodes = this.strips.get(id);
         const data = store.data.outputs.find(o => o.id === id);
         if (!nodes || !data) return;
 
         const ctx = nodes.context;
         const volTarget = data.isMuted ? 0 : data.volume;
-        nodes.masterVol.gain.setTargetAtTime(volTarget, ctx.currentTime, 0.02);
+        this.rampParam(nodes.masterVol.gain, volTarget, ctx, 0.02, fade);
 
-        // Update EQ Gains (10 bands)
-        if (data.eqGains && nodes.eqNodes.length === 10) {
-            data.eqGains.forEach((gain, i) => {
-                const filter = nodes.eqNodes[i];
-                filter.gain.setTargetAtTime(gain, ctx.currentTime, 0.05);
-            });
-        }
+        this.updateEqChain(nodes, data.eq.bands, fade);
 
-        nodes.delayNode.delayTime.setTargetAtTime((data.delayMs || 0) / 1000, ctx.currentTime, 0.05);
+        this.rampParam(nodes.delayNode.delayTime, (data.delayMs || 0) / 1000, ctx, 0.05, fade);
         this.applyCompressorSettings(nodes.compressor, data.compressor);
+        this.rampParam(nodes.makeupGain.gain, this.getMakeupGain(data.compressor), ctx, 0.05, fade);
+        this.updateStereoStage(nodes.stereoStage, data.stereo, ctx, fade);
+        this.connectOutputChannels(nodes, data.channels);
     }
 
+    // 出力デバイス、または出力の種類 (デバイス/Direct Link) や送信先が変わった
     async setStripDevice(id, deviceId) {
         const nodes = this.strips.get(id);
+        const data = store.data.outputs.find(o => o.id === id);
+        if (nodes && data) this.updateStripLink(nodes, data);
         if (nodes && nodes.context && typeof nodes.context.setSinkId === 'function') {
-            try { await nodes.context.setSinkId(deviceId); } catch (e) { }
+            const sinkId = data && data.type === 'link' ? this.getSinkId(data) : deviceId;
+            try { await nodes.context.setSinkId(sinkId); } catch (e) { }
+            // デバイスによってch数が変わるため出力chを繋ぎ直す
+            if (data && this.strips.get(id) === nodes) {
+                this.connectOutputChannels(nodes, data.channels, true);
+                if (this.onDeviceChannels) this.onDeviceChannels();
+            }
         }
     }
 
-    processDirectAudio(floatArray, sampleRate, channels = 2) {
-        if (!this.isRunning) return;
-        this.ringBuffer.push(floatArray, channels);
-    }
-
-    scheduleAudio() {
+    processDirectAudio(slotId, floatArray, sampleRate, channels = 2) {
         if (!this.isRunning) return;
+        const src = this.getDirectSource(slotId);
+        src.sampleRate = sampleRate;
 
-        const CHUNK_SIZE = 1024;
-        const userBufferSec = Math.max(store.data.directBuffer || 0.1, 0.05);
+        const stereo = this.toStereo(floatArray, channels);
+        const target = this.getDirectTarget(slotId);
+        const now = performance.now();
 
-        while (this.ringBuffer.available >= CHUNK_SIZE) {
-            this.ringBuffer.pop(this.tempBuffers, CHUNK_SIZE);
+        this.strips.forEach(strip => {
+            const sink = strip.directSinks.get(slotId);
+            if (sink) this.writeDirectSink(sink, stereo, sampleRate, target, now);
+        });
+    }
 
-            this.strips.forEach((nodes) => {
-                const ctx = nodes.context;
+    // 出力デバイスごとにクロックが異なるため、ドリフト補正もリングバッファ単位で行う
+    writeDirectSink(sink, stereo, sampleRate, target, now) {
+        const fill = sink.ring.availableRead() / sink.rate;
 
-                if (nodes.nextAudioTime < ctx.currentTime) {
-                    nodes.nextAudioTime = ctx.currentTime + userBufferSec;
-                    if (store.data.directBuffer < 0.5) store.data.directBuffer += 0.001;
-                }
+        // 仕様 4.2.2: Overrun (遅延が設定値の3倍超) -> 古いデータを破棄して最新データへジャンプ
+        if (sink.drift.isOverrun(fill, target)) {
+            sink.drift.countOverrun();
+            sink.ring.requestDiscard(Math.floor(target * sink.rate));
+        } else {
+            // 受信が途切れていた直後は補正しない (積分が暴れないように)
+            const dt = sink.lastWrite ? (now - sink.lastWrite) / 1000 : 0;
+            if (dt > 0 && dt < 0.5) sink.drift.update(fill, target, dt);
+        }
+        sink.lastWrite = now;
+        sink.ring.setTarget(target * sink.rate);
 
-                const buffer = ctx.createBuffer(2, CHUNK_SIZE, 48000);
-                buffer.copyToChannel(this.tempBuffers[0], 0);
-                buffer.copyToChannel(this.tempBuffers[1], 1);
+        // Senderのレート -> コンテキストのレートへ変換してから書き込む
+        sink.resampler.setQuality(store.data.resamplerQuality);
+        sink.resampler.setRates(sampleRate, sink.rate);
+        sink.resampler.ratio = sink.drift.ratio;
 
-                const src = ctx.createBufferSource();
-                src.buffer = buffer;
-                src.connect(nodes.directGain);
-                src.start(nodes.nextAudioTime);
+        const samples = sink.resampler.process(stereo);
+        const written = sink.ring.write(samples);
+        if (written < samples.length / 2) sink.drift.countOverrun();
+    }
 
-                nodes.nextAudioTime += buffer.duration;
-            });
+    // モノラルは両chへ複製、3ch以上は先頭2ch (L/R) を使用
+    toStereo(floatArray, channels) {
+        if (channels === 2) return floatArray;
+        const frames = Math.floor(floatArray.length / channels);
+        const out = new Float32Array(frames * 2);
+        for (let i = 0; i < frames; i++) {
+            out[i * 2] = floatArray[i * channels];
+            out[i * 2 + 1] = floatArray[i * channels + (channels === 1 ? 0 : 1)];
         }
+        return out;
     }
 }
 
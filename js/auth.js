@@ -0,0 +1,16 @@
+// js/auth.js
+// Direct Link の TCP 接続・リモートコントロール API・OSC で共有するトークン認証
+const crypto = require('crypto');
+
+// 長さの違いで一致判定の時間が変わらないよう、ハッシュ同士を比較する
+function tokensMatch(received, expected) {
+    const a = crypto.createHash('sha256').update(received).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function isLoopbackHost(host) {
+    return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+module.exports = { tokensMatch, isLoopbackHost };
@@ -0,0 +1,34 @@
+// js/channels.js
+// マルチチャンネルデバイスのチャンネル選択
+// input.channels: デバイスのどのchを使うか / output.channels: デバイスのどのchへ出すか
+// 0始まりのch番号を1つ (モノラル) または2つ (L/R) 持つ
+
+const MAX_CHANNELS = 32;
+
+function createChannels() {
+    return [0, 1];
+}
+
+// 選択したchを扱うのに必要なデバイスのch数
+function requiredCount(channels) {
+    return Math.max(...channels) + 1;
+}
+
+// 表示用 ("In 5/6", "Out 3")
+function label(channels, prefix) {
+    return `${prefix} ${channels.map(c => c + 1).join('/')}`;
+}
+
+function key(channels) {
+    return channels.join(',');
+}
+
+// ch数 count のデバイスで選べる組み合わせ (ペア -> 単独chの順)
+function options(count) {
+    const result = [];
+    for (let c = 0; c + 1 < count; c += 2) result.push([c, c + 1]);
+    for (let c = 0; c < count; c++) result.push([c]);
+    return result;
+}
+
+module.exports = { MAX_CHANNELS, createChannels, requiredCount, label, key, options };
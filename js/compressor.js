@@ -0,0 +1,37 @@
+// js/compressor.js
+// 出力コンプレッサーのデータモデルとプリセット
+// output.compressor = { enabled, threshold, knee, ratio, attack, release, makeup }
+// threshold/knee/makeup は dB、attack/release は秒 (DynamicsCompressorNode と同じ単位)
+
+const DEFAULTS = { enabled: false, threshold: -24, knee: 30, ratio: 4, attack: 0.003, release: 0.25, makeup: 0 };
+
+// DynamicsCompressorNode の各パラメータの範囲に合わせる
+const LIMITS = {
+    threshold: { min: -100, max: 0 },
+    knee: { min: 0, max: 40 },
+    ratio: { min: 1, max: 20 },
+    attack: { min: 0, max: 1 },
+    release: { min: 0, max: 1 },
+    makeup: { min: 0, max: 24 }
+};
+
+const PRESETS = {
+    'Voice': { threshold: -20, knee: 6, ratio: 3, attack: 0.005, release: 0.15, makeup: 4 },
+    'Broadcast': { threshold: -24, knee: 10, ratio: 4, attack: 0.01, release: 0.25, makeup: 6 },
+    'Music Bus': { threshold: -18, knee: 20, ratio: 2, attack: 0.03, release: 0.3, makeup: 2 },
+    'Limiter': { threshold: -3, knee: 0, ratio: 20, attack: 0.001, release: 0.05, makeup: 0 }
+};
+
+function createCompressor() {
+    return { ...DEFAULTS };
+}
+
+// プリセットを適用すると有効化する
+function applyPreset(settings, name) {
+    const preset = PRESETS[name];
+    if (!preset) return false;
+    Object.assign(settings, preset, { enabled: true });
+    return true;
+}
+
+module.exports = { DEFAULTS, LIMITS, PRESETS, createCompressor, applyPreset };
@@ -0,0 +1,360 @@
+// js/control-server.js
+// リモートコントロール API のサーバー (メインプロセスで動作)。127.0.0.1 でだけ HTTP + WebSocket を待ち受ける
+// ミキサーの操作はレンダラー (js/remote.js) へ転送し、UI と同じ Store のメソッドで処理させる
+// 設定 (enabled/port/token) はレンダラーの Store にあるため、起動時と変更時にレンダラーから configure() される
+const http = require('http');
+const crypto = require('crypto');
+const { tokensMatch } = require('./auth');
+
+const HOST = '127.0.0.1';
+// レンダラーが応答しない場合 (リロード中など) に待つ最大時間
+const REQUEST_TIMEOUT_MS = 5000;
+const MAX_BODY_SIZE = 256 * 1024;
+
+// RFC 6455
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WS_OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+const MAX_WS_MESSAGE_SIZE = 256 * 1024;
+// 読み取らないクライアントへメーターが溜まり続けないよう、この量を超えたらメーターを捨てる
+const MAX_WS_PENDING = 256 * 1024;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length >>> 0, 6);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+class ControlServer {
+    constructor() {
+        this.server = null;
+        this.config = { enabled: false, port: 0, token: '' };
+        this.status = { listening: false, port: 0, error: '' };
+        // リクエストの転送先 (メインウィンドウの webContents)
+        this.webContents = null;
+        // requestId -> { resolve, timer }
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        // WebSocket クライアント: { socket, buffer }
+        this.clients = new Set();
+    }
+
+    attach(webContents) {
+        this.webContents = webContents;
+    }
+
+    // 設定が変わった時だけ再起動する (トークン変更時は既存の WebSocket も切断される)
+    configure(config) {
+        const changed = config.enabled !== this.config.enabled || config.port !== this.config.port || config.token !== this.config.token;
+        this.config = { enabled: !!config.enabled, port: config.port, token: config.token || '' };
+        if (changed || (this.config.enabled && !this.server)) {
+            this.stop();
+            if (this.config.enabled) this.start();
+        }
+        this.sendStatus();
+    }
+
+    start() {
+        const port = this.config.port;
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+        this.server.on('error', (err) => {
+            console.error(`Control server error (${HOST}:${port}):`, err.message);
+            this.stop();
+            this.status = { listening: false, port: port, error: err.message };
+            this.sendStatus();
+        });
+        this.server.listen(port, HOST, () => {
+            console.log(`Control server listening on http://${HOST}:${port}${this.config.token ? ' (token required)' : ''}`);
+            this.status = { listening: true, port: port, error: '' };
+            this.sendStatus();
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+        this.sendClientCount();
+        this.status = { listening: false, port: 0, error: '' };
+    }
+
+    sendToRenderer(channel, ...args) {
+        if (this.webContents && !this.webContents.isDestroyed()) this.webContents.send(channel, ...args);
+    }
+
+    sendStatus() {
+        this.sendToRenderer('control-status', this.status);
+    }
+
+    // レンダラーはクライアントがいる間だけ状態/メーターを送る
+    sendClientCount() {
+        this.sendToRenderer('control-clients', this.clients.size);
+    }
+
+    /**
+     * ブラウザ上のページから localhost への要求 (DNS rebinding / CSRF) を防ぐ。
+     * Host は 127.0.0.1 / localhost のみ、Origin 付き (ブラウザ) の要求はトークンが設定されている場合だけ受け付ける
+     * @returns {{status: number, error: string}|null} 拒否する場合
+     */
+    checkAccess(req, url) {
+        const host = (req.headers.host || '').replace(/:\d+$/, '');
+        if (host !== HOST && host !== 'localhost') return { status: 403, error: 'Invalid Host header' };
+        if (req.headers.origin && !this.config.token) return { status: 403, error: 'Browser clients require an API token' };
+        if (!this.config.token) return null;
+
+        const auth = req.headers.authorization || '';
+        const received = auth.startsWith('Bearer ') ? auth.slice(7).trim() : (url.searchParams.get('token') || '');
+        if (!tokensMatch(received, this.config.token)) return { status: 401, error: 'Invalid or missing API token' };
+        return null;
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, `http://${HOST}`);
+        const denied = this.checkAccess(req, url);
+        if (denied) {
+            this.respond(res, denied.status, { error: denied.error });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                this.respond(res, 413, { error: 'Request body too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', async () => {
+            let body = null;
+            if (chunks.length > 0) {
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    this.respond(res, 400, { error: 'Request body is not valid JSON' });
+                    return;
+                }
+            }
+            const result = await this.forward({ method: req.method, path: url.pathname, body: body });
+            this.respond(res, result.status, result.body);
+        });
+    }
+
+    respond(res, status, body) {
+        if (res.headersSent) return;
+        const json = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json),
+            'Cache-Control': 'no-store'
+        });
+        res.end(json);
+    }
+
+    /**
+     * レンダラーへリクエストを転送して応答を待つ
+     * @param {{method: string, path: string, body: *}} request
+     * @returns {Promise<{status: number, body: *}>}
+     */
+    forward(request) {
+        if (!this.webContents || this.webContents.isDestroyed()) {
+            return Promise.resolve({ status: 503, body: { error: 'Mixer is not ready' } });
+        }
+        return new Promise((resolve) => {
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                resolve({ status: 504, body: { error: 'Mixer did not respond' } });
+            }, REQUEST_TIMEOUT_MS);
+            this.pending.set(id, { resolve: resolve, timer: timer });
+            this.sendToRenderer('control-request', id, request);
+        });
+    }
+
+    resolveRequest(id, response) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.pending.delete(id);
+        entry.resolve(response);
+    }
+
+    // --- WebSocket ---
+    handleUpgrade(req, socket) {
+        const url = new URL(req.url, `http://${HOST}`);
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const denied = this.checkAccess(req, url);
+        if (denied) {
+            socket.end(`HTTP/1.1 ${denied.status} ${http.STATUS_CODES[denied.status]}\r\nConnection: close\r\n\r\n`);
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        // fragments: 分割されたメッセージの受信途中 { opcode, chunks, size }
+        const client = { socket: socket, buffer: Buffer.alloc(0), fragments: null };
+        this.clients.add(client);
+        socket.on('data', (data) => this.handleWsData(client, data));
+        socket.on('close', () => {
+            if (this.clients.delete(client)) this.sendClientCount();
+        });
+        socket.on('error', (err) => {
+            console.warn('Control WebSocket error:', err.message);
+        });
+        this.sendClientCount();
+    }
+
+    // クライアントからのフレームは必ずマスクされている
+    // 分割されたメッセージ (FIN=0 と continuation) は結合してから処理する。制御フレームは分割の途中にも届く
+    handleWsData(client, data) {
+        if (!this.clients.has(client)) return;
+        client.buffer = Buffer.concat([client.buffer, data]);
+        while (client.buffer.length >= 2) {
+            const buf = client.buffer;
+            const fin = (buf[0] & 0x80) !== 0;
+            const opcode = buf[0] & 0x0f;
+            const masked = (buf[1] & 0x80) !== 0;
+            let length = buf[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buf.length < 4) return;
+                length = buf.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buf.length < 10) return;
+                length = buf.readUInt32BE(2) * 0x100000000 + buf.readUInt32BE(6);
+                offset = 10;
+            }
+            const isControl = (opcode & 0x08) !== 0;
+            const isContinuation = opcode === WS_OPCODES.CONTINUATION;
+            // 制御フレームは分割できない。continuation は分割の途中でのみ、新しいメッセージは分割の途中以外でのみ有効
+            if (!masked || (isControl && (!fin || length > 125)) || (!isControl && isContinuation !== !!client.fragments)) {
+                this.closeClient(client, 1002);
+                return;
+            }
+            const received = client.fragments && !isControl ? client.fragments.size : 0;
+            if (received + length > MAX_WS_MESSAGE_SIZE) {
+                this.closeClient(client, 1009);
+                return;
+            }
+            if (buf.length < offset + 4 + length) return;
+
+            const mask = buf.subarray(offset, offset + 4);
+            const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            client.buffer = buf.subarray(offset + 4 + length);
+
+            if (isControl) {
+                this.handleWsMessage(client, opcode, payload);
+            } else if (!fin) {
+                if (!client.fragments) client.fragments = { opcode: opcode, chunks: [], size: 0 };
+                client.fragments.chunks.push(payload);
+                client.fragments.size += payload.length;
+            } else if (client.fragments) {
+                const message = client.fragments;
+                client.fragments = null;
+                this.handleWsMessage(client, message.opcode, Buffer.concat([...message.chunks, payload]));
+            } else {
+                this.handleWsMessage(client, opcode, payload);
+            }
+            // CLOSE や不正なメッセージで切断した後のフレームは読まない
+            if (!this.clients.has(client)) return;
+        }
+    }
+
+    /**
+     * テキストメッセージは HTTP と同じリクエスト: {"id": 1, "method": "PATCH", "path": "/api/outputs/1", "body": {...}}
+     * 応答は {"type": "response", "id": 1, "status": 200, "body": {...}}
+     */
+    async handleWsMessage(client, opcode, payload) {
+        if (opcode === WS_OPCODES.PING) {
+            this.sendFrame(client, WS_OPCODES.PONG, payload);
+            return;
+        }
+        if (opcode === WS_OPCODES.CLOSE) {
+            this.closeClient(client, 1000);
+            return;
+        }
+        if (opcode !== WS_OPCODES.TEXT) {
+            if (opcode !== WS_OPCODES.PONG) this.closeClient(client, 1003);
+            return;
+        }
+
+        let msg;
+        try {
+            msg = JSON.parse(payload.toString('utf8'));
+        } catch (e) {
+            this.sendJson(client, { type: 'error', error: 'Message is not valid JSON' });
+            return;
+        }
+        if (!msg || typeof msg !== 'object' || typeof msg.method !== 'string' || typeof msg.path !== 'string') {
+            this.sendJson(client, { type: 'error', id: msg && msg.id, error: 'Expected {id, method, path, body}' });
+            return;
+        }
+        const result = await this.forward({ method: msg.method.toUpperCase(), path: msg.path, body: msg.body === undefined ? null : msg.body });
+        if (!this.clients.has(client)) return;
+        this.sendJson(client, { type: 'response', id: msg.id, status: result.status, body: result.body });
+    }
+
+    sendFrame(client, opcode, payload) {
+        if (client.socket.destroyed) return;
+        client.socket.write(encodeFrame(opcode, payload));
+    }
+
+    sendJson(client, message) {
+        this.sendFrame(client, WS_OPCODES.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    closeClient(client, code) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(client, WS_OPCODES.CLOSE, payload);
+        client.socket.end();
+        if (this.clients.delete(client)) this.sendClientCount();
+    }
+
+    // レンダラーからの通知 (状態変更/メーター) を全クライアントへ送る
+    broadcast(message) {
+        if (this.clients.size === 0) return;
+        const frame = encodeFrame(WS_OPCODES.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+        const droppable = message.type === 'meters';
+        this.clients.forEach(client => {
+            if (client.socket.destroyed) return;
+            if (droppable && client.socket.writableLength > MAX_WS_PENDING) return;
+            client.socket.write(frame);
+        });
+    }
+}
+
+module.exports = new ControlServer();
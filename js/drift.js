@@ -0,0 +1,64 @@
+// js/drift.js
+
+// 補正量の上限 (±0.5%)。ピッチ変化が聴感上わからない範囲に留める
+const MAX_ADJUST = 0.005;
+const KP = 0.02;
+const KI = 0.002;
+const SMOOTHING_SEC = 1.0;
+
+/**
+ * Holds the direct-link latency at the user's target by nudging the
+ * resampler ratio (PI control on a smoothed latency measurement).
+ * Also keeps the overrun counter reported to the UI (underruns are
+ * counted by the playback worklet).
+ */
+class DriftController {
+    constructor() {
+        this.overruns = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.smoothedLatency = null;
+        this.integral = 0;
+        this.ratio = 1.0;
+    }
+
+    /**
+     * @param {number} latencySec buffered + scheduled audio
+     * @param {number} targetSec user's target latency
+     * @param {number} dt seconds since the previous update
+     * @returns {number} ratio for Resampler (>1 consumes input faster)
+     */
+    update(latencySec, targetSec, dt) {
+        if (this.smoothedLatency === null) {
+            this.smoothedLatency = latencySec;
+        } else {
+            const a = Math.min(1, dt / SMOOTHING_SEC);
+            this.smoothedLatency += (latencySec - this.smoothedLatency) * a;
+        }
+
+        const error = this.smoothedLatency - targetSec;
+        this.integral += error * dt;
+        // Anti-windup
+        const maxIntegral = MAX_ADJUST / KI;
+        if (this.integral > maxIntegral) this.integral = maxIntegral;
+        if (this.integral < -maxIntegral) this.integral = -maxIntegral;
+
+        const adjust = KP * error + KI * this.integral;
+        this.ratio = 1 + Math.max(-MAX_ADJUST, Math.min(MAX_ADJUST, adjust));
+        return this.ratio;
+    }
+
+    // 仕様 4.2.2: 遅延が設定値の3倍を超えたらリセット
+    isOverrun(latencySec, targetSec) {
+        return latencySec > targetSec * 3;
+    }
+
+    countOverrun() {
+        this.overruns++;
+        this.reset();
+    }
+}
+
+module.exports = DriftController;
@@ -0,0 +1,280 @@
+// js/eq-graph.js
+// EQモーダルの周波数特性グラフ (合成カーブ + 出力スペクトル + ドラッグ編集用ハンドル)
+const audio = require('./audio');
+const eq = require('./eq');
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+const DB_RANGE = 24;              // カーブの表示範囲 (±dB)
+const SPECTRUM_MIN_DB = -100;     // スペクトルの表示範囲
+const SPECTRUM_MAX_DB = -10;
+const HANDLE_RADIUS = 6;
+const HIT_RADIUS = 12;
+const GRID_FREQS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GRID_DBS = [-18, -12, -6, 0, 6, 12, 18];
+
+class EqGraph {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} callbacks
+     *   onDragStart(index): バンドを変更する直前 (Undo用の記録はここで行う)
+     *   onBandChange(index): ハンドルのドラッグ/ホイールでバンドを変更した
+     *   onDragEnd(): ドラッグ終了
+     */
+    constructor(canvas, callbacks) {
+        this.canvas = canvas;
+        this.ctx2d = canvas.getContext('2d');
+        this.callbacks = callbacks;
+        this.data = null;
+        this.isRunning = false;
+        this.dragIndex = -1;
+        // ドラッグで実際にバンドを動かしたか (クリックだけでは履歴を残さない)
+        this.dragMoved = false;
+        this.hoverIndex = -1;
+        this.frequencies = null;
+        this.spectrumL = null;
+        this.spectrumR = null;
+
+        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        canvas.addEventListener('mousemove', (e) => this.onHover(e));
+        canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', () => this.onMouseUp());
+    }
+
+    // outputData: store.data.outputs の要素
+    start(outputData) {
+        this.data = outputData;
+        this.resize();
+        if (this.isRunning) return;
+        this.isRunning = true;
+        const loop = () => {
+            if (!this.isRunning) return;
+            this.draw();
+            requestAnimationFrame(loop);
+        };
+        requestAnimationFrame(loop);
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.data = null;
+        this.dragIndex = -1;
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx2d.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.width = width;
+        this.height = height;
+
+        // 横1pxごとの周波数 (対数軸)
+        this.frequencies = new Float32Array(Math.max(1, Math.round(width)));
+        for (let i = 0; i < this.frequencies.length; i++) this.frequencies[i] = this.xToFreq(i);
+    }
+
+    // --- Coordinates ---
+    freqToX(freq) {
+        return Math.log(freq / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ) * this.width;
+    }
+
+    xToFreq(x) {
+        return MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, x / this.width);
+    }
+
+    dbToY(db) {
+        return (1 - (db + DB_RANGE) / (DB_RANGE * 2)) * this.height;
+    }
+
+    yToDb(y) {
+        return (1 - y / this.height) * DB_RANGE * 2 - DB_RANGE;
+    }
+
+    // ゲインを持たないバンド (パス/ノッチ) は0dBの線上に置く
+    handlePosition(band) {
+        return { x: this.freqToX(band.frequency), y: this.dbToY(eq.usesGain(band.type) ? band.gain : 0) };
+    }
+
+    // --- Drawing ---
+    draw() {
+        if (!this.data || this.width === 0) return;
+        const g = this.ctx2d;
+        g.clearRect(0, 0, this.width, this.height);
+        this.drawGrid(g);
+        this.drawSpectrum(g);
+        this.drawCurve(g);
+        this.drawHandles(g);
+    }
+
+    drawGrid(g) {
+        g.lineWidth = 1;
+        g.font = '9px sans-serif';
+        g.fillStyle = '#555';
+        GRID_FREQS.forEach(freq => {
+            const x = Math.round(this.freqToX(freq)) + 0.5;
+            g.strokeStyle = '#2e2e2e';
+            g.beginPath();
+            g.moveTo(x, 0);
+            g.lineTo(x, this.height);
+            g.stroke();
+            g.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + 2, this.height - 3);
+        });
+        GRID_DBS.forEach(db => {
+            const y = Math.round(this.dbToY(db)) + 0.5;
+            g.strokeStyle = db === 0 ? '#444' : '#2e2e2e';
+            g.beginPath();
+            g.moveTo(0, y);
+            g.lineTo(this.width, y);
+            g.stroke();
+            g.fillText(`${db > 0 ? '+' : ''}${db}`, 2, y - 2);
+        });
+    }
+
+    // 出力段のAnalyser (L/R) の平均パワーを描画 (エンジン停止中は表示しない)
+    drawSpectrum(g) {
+        const strip = audio.strips.get(this.data.id);
+        if (!strip || !strip.analyserL || !strip.analyserR) return;
+        const analyserL = strip.analyserL;
+        const analyserR = strip.analyserR;
+        if (!this.spectrumL || this.spectrumL.length !== analyserL.frequencyBinCount) {
+            this.spectrumL = new Float32Array(analyserL.frequencyBinCount);
+            this.spectrumR = new Float32Array(analyserR.frequencyBinCount);
+        }
+        analyserL.getFloatFrequencyData(this.spectrumL);
+        analyserR.getFloatFrequencyData(this.spectrumR);
+
+        const binHz = analyserL.context.sampleRate / analyserL.fftSize;
+        g.beginPath();
+        g.moveTo(0, this.height);
+        for (let x = 0; x < this.frequencies.length; x++) {
+            const bin = Math.min(this.spectrumL.length - 1, Math.round(this.frequencies[x] / binHz));
+            const power = (Math.pow(10, this.spectrumL[bin] / 10) + Math.pow(10, this.spectrumR[bin] / 10)) / 2;
+            const db = power > 0 ? 10 * Math.log10(power) : SPECTRUM_MIN_DB;
+            const level = Math.max(0, Math.min(1, (db - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB)));
+            g.lineTo(x, this.height * (1 - level));
+        }
+        g.lineTo(this.width, this.height);
+        g.closePath();
+        g.fillStyle = 'rgba(48, 209, 88, 0.15)';
+        g.fill();
+    }
+
+    drawCurve(g) {
+        const response = audio.getEqResponse(this.data.id, this.frequencies);
+        if (!response) return;
+        g.beginPath();
+        for (let x = 0; x < response.length; x++) {
+            const db = Math.max(-DB_RANGE * 2, Math.min(DB_RANGE * 2, response[x]));
+            if (x === 0) g.moveTo(x, this.dbToY(db));
+            else g.lineTo(x, this.dbToY(db));
+        }
+        g.strokeStyle = '#0a84ff';
+        g.lineWidth = 2;
+        g.stroke();
+    }
+
+    drawHandles(g) {
+        this.data.eq.bands.forEach((band, i) => {
+            const { x, y } = this.handlePosition(band);
+            const active = i === this.dragIndex || i === this.hoverIndex;
+            g.beginPath();
+            g.arc(x, y, HANDLE_RADIUS, 0, Math.PI * 2);
+            g.fillStyle = active ? '#fff' : '#0a84ff';
+            g.fill();
+            g.fillStyle = active ? '#000' : '#fff';
+            g.font = 'bold 8px sans-serif';
+            g.textAlign = 'center';
+            g.textBaseline = 'middle';
+            g.fillText(`${i + 1}`, x, y + 0.5);
+            g.textAlign = 'start';
+            g.textBaseline = 'alphabetic';
+        });
+    }
+
+    // --- Interaction ---
+    eventPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    findHandle(point) {
+        if (!this.data) return -1;
+        let found = -1;
+        let best = HIT_RADIUS;
+        this.data.eq.bands.forEach((band, i) => {
+            const { x, y } = this.handlePosition(band);
+            const dist = Math.hypot(point.x - x, point.y - y);
+            if (dist <= best) {
+                best = dist;
+                found = i;
+            }
+        });
+        return found;
+    }
+
+    onHover(e) {
+        if (this.dragIndex !== -1) return;
+        this.hoverIndex = this.findHandle(this.eventPoint(e));
+        this.canvas.style.cursor = this.hoverIndex === -1 ? 'default' : 'grab';
+    }
+
+    onMouseDown(e) {
+        this.dragIndex = this.findHandle(this.eventPoint(e));
+        this.dragMoved = false;
+        if (this.dragIndex !== -1) {
+            this.canvas.style.cursor = 'grabbing';
+            e.preventDefault();
+        }
+    }
+
+    // グラフィックEQはゲインのみ、パラメトリックは周波数とゲインを動かす
+    onMouseMove(e) {
+        if (this.dragIndex === -1 || !this.data) return;
+        const band = this.data.eq.bands[this.dragIndex];
+        if (!band) return;
+        const point = this.eventPoint(e);
+        const isGraphic = this.data.eq.mode === 'graphic';
+        if (!this.dragMoved) {
+            this.dragMoved = true;
+            this.callbacks.onDragStart(this.dragIndex);
+        }
+
+        if (!isGraphic) {
+            const freq = this.xToFreq(Math.max(0, Math.min(this.width, point.x)));
+            band.frequency = Math.round(Math.min(eq.LIMITS.frequency.max, Math.max(eq.LIMITS.frequency.min, freq)));
+        }
+        if (eq.usesGain(band.type)) {
+            const limit = isGraphic ? 15 : eq.LIMITS.gain.max;
+            const db = Math.round(this.yToDb(point.y) * 10) / 10;
+            band.gain = Math.max(-limit, Math.min(limit, db));
+        }
+        this.callbacks.onBandChange(this.dragIndex);
+    }
+
+    onMouseUp() {
+        if (this.dragIndex === -1) return;
+        this.dragIndex = -1;
+        this.canvas.style.cursor = 'default';
+        this.callbacks.onDragEnd();
+    }
+
+    // パラメトリックではハンドル上のホイールでQを変更
+    onWheel(e) {
+        if (!this.data || this.data.eq.mode !== 'parametric') return;
+        const index = this.findHandle(this.eventPoint(e));
+        const band = this.data.eq.bands[index];
+        if (!band || !eq.usesQ(band.type)) return;
+        e.preventDefault();
+        this.callbacks.onDragStart(index);
+        const q = band.q * (e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        band.q = Math.round(Math.min(eq.LIMITS.q.max, Math.max(eq.LIMITS.q.min, q)) * 100) / 100;
+        this.callbacks.onBandChange(index);
+        this.callbacks.onDragEnd();
+    }
+}
+
+module.exports = EqGraph;
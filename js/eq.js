@@ -0,0 +1,77 @@
+// js/eq.js
+// 出力EQのデータモデル
+// output.eq = { mode: 'graphic' | 'parametric', bands: [{ type, frequency, q, gain }] }
+// graphic は10バンド固定 (周波数/Q固定でゲインのみ編集)、parametric はバンド数・種類・全パラメータを編集できる
+
+// グラフィックEQの中心周波数
+const GRAPHIC_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const GRAPHIC_Q = 1.4; // 1オクターブ帯域幅に最適化
+
+// BiquadFilterNode.type に対応
+const BAND_TYPES = ['peaking', 'lowshelf', 'highshelf', 'highpass', 'lowpass', 'notch'];
+const BAND_TYPE_LABELS = {
+    peaking: 'Peak',
+    lowshelf: 'Low Shelf',
+    highshelf: 'High Shelf',
+    highpass: 'High Pass',
+    lowpass: 'Low Pass',
+    notch: 'Notch'
+};
+
+const MAX_BANDS = 16;
+const LIMITS = {
+    frequency: { min: 20, max: 20000 },
+    q: { min: 0.1, max: 18 },
+    gain: { min: -24, max: 24 }
+};
+
+// ゲインが効くのは peaking / shelf のみ、Qはshelfでは使われない
+function usesGain(type) {
+    return type === 'peaking' || type === 'lowshelf' || type === 'highshelf';
+}
+
+function usesQ(type) {
+    return type !== 'lowshelf' && type !== 'highshelf';
+}
+
+function graphicBands(gains = []) {
+    return GRAPHIC_FREQUENCIES.map((frequency, i) => ({
+        type: 'peaking', frequency: frequency, q: GRAPHIC_Q, gain: gains[i] || 0
+    }));
+}
+
+function createEq() {
+    return { mode: 'graphic', bands: graphicBands() };
+}
+
+function isGraphicLayout(bands) {
+    return bands.length === GRAPHIC_FREQUENCIES.length &&
+        bands.every((b, i) => b.type === 'peaking' && b.frequency === GRAPHIC_FREQUENCIES[i] && b.q === GRAPHIC_Q);
+}
+
+// パラメトリックで追加するバンドの初期値 (既存バンドの間を埋める周波数)
+function createBand(bands = []) {
+    const used = bands.map(b => Math.log10(b.frequency));
+    let frequency = 1000;
+    if (used.length > 0) {
+        const max = Math.max(...used);
+        frequency = max < Math.log10(10000) ? Math.pow(10, max + 0.5) : Math.pow(10, Math.min(...used) - 0.5);
+    }
+    frequency = Math.round(Math.min(LIMITS.frequency.max, Math.max(LIMITS.frequency.min, frequency)));
+    return { type: 'peaking', frequency: frequency, q: 1.0, gain: 0 };
+}
+
+module.exports = {
+    GRAPHIC_FREQUENCIES,
+    GRAPHIC_Q,
+    BAND_TYPES,
+    BAND_TYPE_LABELS,
+    MAX_BANDS,
+    LIMITS,
+    usesGain,
+    usesQ,
+    graphicBands,
+    createEq,
+    isGraphicLayout,
+    createBand
+};
@@ -0,0 +1,47 @@
+// js/input-chain.js
+// 入力ごとの処理 (ルーティングで各出力へ分配する前に1回だけ掛かる) のデータモデル
+// input.processing = { polarity, hpf: { enabled, frequency }, gate: { enabled, threshold, attack, release, range }, eq: { low, mid, high } }
+// gate の threshold/range と eq は dB、attack/release は秒
+
+const DEFAULTS = {
+    polarity: false,
+    hpf: { enabled: false, frequency: 80 },
+    gate: { enabled: false, threshold: -50, attack: 0.002, release: 0.15, range: -80 },
+    eq: { low: 0, mid: 0, high: 0 }
+};
+
+const LIMITS = {
+    hpf: {
+        frequency: { min: 20, max: 400 }
+    },
+    gate: {
+        threshold: { min: -90, max: 0 },
+        attack: { min: 0.0001, max: 0.1 },
+        release: { min: 0.01, max: 2 },
+        range: { min: -90, max: 0 }
+    },
+    eq: {
+        low: { min: -12, max: 12 },
+        mid: { min: -12, max: 12 },
+        high: { min: -12, max: 12 }
+    }
+};
+
+// 3バンドEQの固定パラメータ
+const EQ_BANDS = {
+    low: { type: 'lowshelf', frequency: 100, q: 0.7 },
+    mid: { type: 'peaking', frequency: 1000, q: 0.9 },
+    high: { type: 'highshelf', frequency: 8000, q: 0.7 }
+};
+
+function createProcessing() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+}
+
+// ストリップのボタン表示用: 何らかの処理が有効か
+function isActive(processing) {
+    return processing.polarity || processing.hpf.enabled || processing.gate.enabled ||
+        Object.keys(EQ_BANDS).some(key => processing.eq[key] !== 0);
+}
+
+module.exports = { DEFAULTS, LIMITS, EQ_BANDS, createProcessing, isActive };
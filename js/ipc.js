@@ -2,97 +2,459 @@
 const net = require('net');
 const fs = require('fs');
 const audio = require('./audio');
+const store = require('./store');
+const LinkSender = require('./link-sender');
+const { tokensMatch, isLoopbackHost } = require('./auth');
 
-class DirectServer {
-    constructor() {
-        this.server = null;
-        this.socket = null;
+// UXD2 サンプルフォーマット (ヘッダー offset 12)
+const SAMPLE_FORMATS = {
+    1: { name: 'int16', bytes: 2 },
+    2: { name: 'int24', bytes: 3 },
+    3: { name: 'float32', bytes: 4 }
+};
+const FORMAT_FLOAT32 = 3;
+
+// UXD2 Flags (ヘッダー offset 13)
+const FLAG_CONTROL = 0x01; // 双方向コントロールチャンネルを使用する
+
+// コントロールチャンネル有効時のフレーム: [Type u8][Length u32 LE][Payload]
+const FRAME_AUDIO = 0x01;
+const FRAME_CONTROL = 0x02;
+const FRAME_HEADER_SIZE = 5;
+const MAX_FRAME_SIZE = 4 * 1024 * 1024;
+// Senderが読み取らない場合に書き込みが溜まり続けないよう、この量を超えたら状態通知を捨てる
+const MAX_PENDING_WRITE = 64 * 1024;
+const STATUS_INTERVAL_MS = 500;
+// 接続してからこの時間内にハンドシェイクが完了しなければ切断する (スロットを割り当てないまま接続が残らないように)
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+// UXD2 拡張領域の Type
+const EXT_TOKEN = 0x01; // 共有シークレット (UTF-8)
+
+const UXD1_HEADER_SIZE = 8;
+const UXD2_BASE_HEADER_SIZE = 16;
+const MAX_HEADER_SIZE = 1024;
+const MAX_CHANNELS = 32;
+
+// Senderが通知できるサンプリングレート (範囲外はリサンプラーの比率が壊れるため拒否する)
+function isSupportedRate(rate) {
+    return rate >= 8000 && rate <= 384000;
+}
+
+// Little Endian PCM -> Float32Array (interleaved)
+function decodePcm(buffer, format) {
+    if (format === FORMAT_FLOAT32) {
+        // メモリアライメントの安全な確保 (Buffer.buffer が 4バイト境界でない場合への対策)
+        const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        return new Float32Array(arrayBuffer);
+    }
+    const bytes = SAMPLE_FORMATS[format].bytes;
+    const out = new Float32Array(buffer.length / bytes);
+    if (bytes === 2) {
+        for (let i = 0; i < out.length; i++) out[i] = buffer.readInt16LE(i * 2) / 32768;
+    } else {
+        for (let i = 0; i < out.length; i++) out[i] = buffer.readIntLE(i * 3, 3) / 8388608;
+    }
+    return out;
+}
+
+// 1接続 = 1セッション。ハンドシェイク状態とストリーム形式は接続ごとに保持する
+// スロットはハンドシェイク (とトークン確認) に成功した時点で割り当てる
+class DirectSession {
+    constructor(server, socket, transport) {
+        this.server = server;
+        this.socket = socket;
+        this.transport = transport; // 'local' | 'tcp'
+        this.slotId = null;
         this.isHeaderReceived = false;
         this.headerBuffer = Buffer.alloc(0);
+        // フレーム境界に満たない端数 (次のパケットと結合する)
+        this.pending = Buffer.alloc(0);
+
+        // UXD1 の既定値: 2ch / float32 / ブロック指定なし
+        this.protocol = 'UXD1';
         this.sampleRate = 44100;
+        this.channels = 2;
+        this.format = FORMAT_FLOAT32;
+        this.blockSize = 0;
+        this.extensions = new Map();
 
-        // ステータス変更時のコールバック
-        this.onStatusChange = null;
+        this.controlEnabled = false;
+        this.frameBuffer = Buffer.alloc(0);
+        this.statusTimer = null;
+        this.lastUnderruns = 0;
+        this.closed = false;
+        this.handshakeTimer = setTimeout(() => {
+            if (!this.closed) console.error(`[${this.label}] Handshake timeout`);
+            this.close();
+            this.socket.destroy();
+        }, HANDSHAKE_TIMEOUT_MS);
     }
 
-    start() {
-        const isWin = process.platform === 'win32';
-        const SOCKET_PATH = isWin ? '\\\\.\\pipe\\ux_audio_router_pipe' : '/tmp/ux_audio_router.sock';
-
-        if (!isWin && fs.existsSync(SOCKET_PATH)) { try { fs.unlinkSync(SOCKET_PATH); } catch (e) { } }
-
-        this.server = net.createServer((socket) => {
-            console.log('UX Music Connected');
-            this.socket = socket;
-            this.isHeaderReceived = false;
-            this.headerBuffer = Buffer.alloc(0);
-            this.reportStatus(false); // ハンドシェイク前
-
-            socket.on('data', (buffer) => {
-                if (!this.isHeaderReceived) {
-                    this.handleHandshake(buffer, socket);
-                } else {
-                    this.handleAudioData(buffer);
-                }
-            });
+    get frameBytes() {
+        return this.channels * SAMPLE_FORMATS[this.format].bytes;
+    }
 
-            socket.on('end', () => {
-                console.log('UX Music Disconnected');
-                this.reportStatus(false);
-                this.socket = null;
-            });
+    handleData(buffer) {
+        if (this.closed) return;
+        if (!this.isHeaderReceived) {
+            this.handleHandshake(buffer);
+        } else if (this.controlEnabled) {
+            this.handleFramedData(buffer);
+        } else {
+            this.handleAudioData(buffer);
+        }
+    }
+
+    handleHandshake(buffer) {
+        this.headerBuffer = Buffer.concat([this.headerBuffer, buffer]);
+        if (this.headerBuffer.length < UXD1_HEADER_SIZE) return;
+
+        const magic = this.headerBuffer.slice(0, 4).toString();
+        let headerSize = 0;
+        if (magic === 'UXD1') {
+            const sampleRate = this.headerBuffer.readUInt32LE(4);
+            if (!isSupportedRate(sampleRate)) return this.reject(`Unsupported sample rate: ${sampleRate}`);
+            this.sampleRate = sampleRate;
+            headerSize = UXD1_HEADER_SIZE;
+        } else if (magic === 'UXD2') {
+            headerSize = this.headerBuffer.readUInt16LE(4);
+            if (headerSize < UXD2_BASE_HEADER_SIZE || headerSize > MAX_HEADER_SIZE) {
+                return this.reject(`Invalid UXD2 header size: ${headerSize}`);
+            }
+            if (this.headerBuffer.length < headerSize) return; // 続きを待つ
+
+            this.controlEnabled = (this.headerBuffer.readUInt8(13) & FLAG_CONTROL) !== 0;
+            const error = this.parseUxd2Header(this.headerBuffer.slice(0, headerSize));
+            if (error) return this.reject(error);
+        } else {
+            return this.reject('Invalid Header');
+        }
+
+        const authError = this.checkToken();
+        if (authError) return this.reject(authError);
 
-            socket.on('error', (err) => {
-                this.reportStatus(false);
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.slotId = this.server.acceptSession(this);
+        console.log(`[${this.label}] Handshake OK (${this.protocol}). Rate: ${this.sampleRate}Hz, ${this.channels}ch ${SAMPLE_FORMATS[this.format].name}`);
+        this.isHeaderReceived = true;
+        this.server.reportStatus(this.slotId, true, this.sampleRate, this.describe());
+
+        if (this.controlEnabled) {
+            this.sendControl({
+                type: 'ack',
+                accepted: true,
+                slot: this.slotId,
+                protocol: this.protocol,
+                sampleRate: this.sampleRate,
+                engineRate: audio.sampleRate
             });
-        });
+            this.statusTimer = setInterval(() => this.sendStatus(), STATUS_INTERVAL_MS);
+        }
 
-        this.server.listen(SOCKET_PATH, () => {
-            console.log(`IPC Server listening on ${SOCKET_PATH}`);
-        });
+        const remaining = this.headerBuffer.slice(headerSize);
+        this.headerBuffer = Buffer.alloc(0);
+        if (remaining.length > 0) this.handleData(remaining);
     }
 
-    handleHandshake(buffer, socket) {
-        this.headerBuffer = Buffer.concat([this.headerBuffer, buffer]);
-        if (this.headerBuffer.length > 1024) this.headerBuffer = this.headerBuffer.slice(-1024); // Limit memory usage
-
-        if (this.headerBuffer.length >= 8) {
-            const magic = this.headerBuffer.slice(0, 4).toString();
-            if (magic === 'UXD1') {
-                this.sampleRate = this.headerBuffer.readUInt32LE(4);
-                console.log(`Handshake OK. Rate: ${this.sampleRate}Hz`);
-                this.isHeaderReceived = true;
-                this.reportStatus(true, this.sampleRate);
-
-                const remaining = this.headerBuffer.slice(8);
-                if (remaining.length > 0) this.handleAudioData(remaining);
-            } else {
-                console.error("Invalid Header");
-                socket.destroy();
+    parseUxd2Header(header) {
+        const channels = header.readUInt16LE(6);
+        const sampleRate = header.readUInt32LE(8);
+        const format = header.readUInt8(12);
+        const blockSize = header.readUInt16LE(14);
+
+        if (channels < 1 || channels > MAX_CHANNELS) return `Unsupported channel count: ${channels}`;
+        if (!isSupportedRate(sampleRate)) return `Unsupported sample rate: ${sampleRate}`;
+        if (!SAMPLE_FORMATS[format]) return `Unsupported sample format: ${format}`;
+
+        this.protocol = 'UXD2';
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.format = format;
+        this.blockSize = blockSize;
+        this.extensions = this.parseExtensions(header.slice(UXD2_BASE_HEADER_SIZE));
+        return null;
+    }
+
+    // 拡張領域: [Type u8][Length u16 LE][Value] の繰り返し。未知のTypeは無視する
+    parseExtensions(area) {
+        const extensions = new Map();
+        let offset = 0;
+        while (offset + 3 <= area.length) {
+            const type = area.readUInt8(offset);
+            const length = area.readUInt16LE(offset + 1);
+            if (offset + 3 + length > area.length) break;
+            extensions.set(type, area.slice(offset + 3, offset + 3 + length));
+            offset += 3 + length;
+        }
+        return extensions;
+    }
+
+    // TCP接続でトークンが設定されている場合のみ照合する
+    checkToken() {
+        const expected = this.server.getRequiredToken(this.transport);
+        if (!expected) return null;
+        if (this.protocol !== 'UXD2') return 'Token required (UXD2 handshake with token extension)';
+        const token = this.extensions.get(EXT_TOKEN);
+        if (!token || !tokensMatch(token.toString('utf8'), expected)) return 'Invalid token';
+        return null;
+    }
+
+    get label() {
+        return this.slotId !== null ? `Slot ${this.slotId}` : `${this.transport} ${this.socket.remoteAddress || 'pipe'}`;
+    }
+
+    reject(reason) {
+        console.error(`[${this.label}] ${reason}`);
+        this.headerBuffer = Buffer.alloc(0);
+        this.closed = true;
+        if (this.controlEnabled) {
+            // 理由を通知してから切断
+            this.socket.end(this.encodeFrame(FRAME_CONTROL, Buffer.from(JSON.stringify({ type: 'ack', accepted: false, reason: reason }))));
+        } else {
+            this.socket.destroy();
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        if (this.statusTimer) {
+            clearInterval(this.statusTimer);
+            this.statusTimer = null;
+        }
+    }
+
+    // --- Control Channel ---
+    handleFramedData(buffer) {
+        this.frameBuffer = this.frameBuffer.length > 0 ? Buffer.concat([this.frameBuffer, buffer]) : buffer;
+
+        while (this.frameBuffer.length >= FRAME_HEADER_SIZE) {
+            const type = this.frameBuffer.readUInt8(0);
+            const length = this.frameBuffer.readUInt32LE(1);
+            if (length > MAX_FRAME_SIZE) return this.reject(`Frame too large: ${length}`);
+            if (this.frameBuffer.length < FRAME_HEADER_SIZE + length) return; // 続きを待つ
+
+            const payload = this.frameBuffer.slice(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+            this.frameBuffer = this.frameBuffer.slice(FRAME_HEADER_SIZE + length);
+
+            if (type === FRAME_AUDIO) {
+                this.handleAudioData(payload);
+            } else if (type === FRAME_CONTROL) {
+                this.handleControlMessage(payload);
             }
-            this.headerBuffer = Buffer.alloc(0);
+            // 未知のフレームは読み飛ばす
         }
     }
 
+    handleControlMessage(payload) {
+        let msg;
+        try {
+            msg = JSON.parse(payload.toString('utf8'));
+        } catch (e) {
+            msg = null;
+        }
+        // null や数値など、オブジェクト以外の JSON も不正なメッセージとして扱う
+        if (msg === null || typeof msg !== 'object') {
+            this.sendControl({ type: 'error', reason: 'Malformed control message' });
+            return;
+        }
+
+        switch (msg.type) {
+            case 'set-latency': {
+                const appliedMs = audio.setDirectTargetLatency(this.slotId, Number(msg.ms) / 1000) * 1000;
+                this.sendControl({ type: 'latency', requestedMs: msg.ms, appliedMs: Math.round(appliedMs) });
+                break;
+            }
+            case 'get-status':
+                this.sendStatus(true);
+                break;
+            case 'ping':
+                this.sendControl({ type: 'pong', id: msg.id });
+                break;
+            default:
+                this.sendControl({ type: 'error', reason: `Unknown message type: ${msg.type}` });
+        }
+    }
+
+    sendStatus(force = false) {
+        const stats = audio.getDirectStats(this.slotId);
+        const data = store.data.directs.find(d => d.id === this.slotId);
+        const underruns = stats ? stats.underruns : 0;
+
+        if (underruns > this.lastUnderruns) {
+            this.sendControl({ type: 'underrun', count: underruns });
+        }
+        this.lastUnderruns = underruns;
+
+        this.sendControl({
+            type: 'status',
+            running: audio.isRunning,
+            muted: !data || data.isMuted || !data.sends.some(s => s.level > 0),
+            fillMs: stats ? Math.round(stats.latencyMs) : 0,
+            targetMs: stats ? Math.round(stats.targetMs) : 0,
+            underruns: underruns,
+            overruns: stats ? stats.overruns : 0
+        }, force);
+    }
+
+    sendControl(msg, force = true) {
+        if (!this.controlEnabled || this.closed || this.socket.destroyed) return;
+        // 定期的な状態通知は書き込みが滞留している場合は送らない
+        if (!force && this.socket.writableLength > MAX_PENDING_WRITE) return;
+        this.socket.write(this.encodeFrame(FRAME_CONTROL, Buffer.from(JSON.stringify(msg), 'utf8')));
+    }
+
+    encodeFrame(type, payload) {
+        const header = Buffer.alloc(FRAME_HEADER_SIZE);
+        header.writeUInt8(type, 0);
+        header.writeUInt32LE(payload.length, 1);
+        return Buffer.concat([header, payload]);
+    }
+
+    describe() {
+        return {
+            protocol: this.protocol,
+            control: this.controlEnabled,
+            channels: this.channels,
+            format: SAMPLE_FORMATS[this.format].name,
+            blockSize: this.blockSize
+        };
+    }
+
     handleAudioData(buffer) {
-        // 8バイト整列 (L+R float)
-        if (buffer.length % 8 !== 0) {
-            const alignedLen = Math.floor(buffer.length / 8) * 8;
-            buffer = buffer.slice(0, alignedLen);
+        if (this.pending.length > 0) buffer = Buffer.concat([this.pending, buffer]);
+
+        // フレーム (ブロック指定がある場合はブロック) 単位に整列し、端数は次回へ持ち越す
+        const unit = this.frameBytes * (this.blockSize || 1);
+        const alignedLen = Math.floor(buffer.length / unit) * unit;
+        this.pending = buffer.slice(alignedLen);
+        if (alignedLen === 0) return;
+
+        const samples = decodePcm(buffer.slice(0, alignedLen), this.format);
+
+        // AudioEngineへ処理を委譲（スロットとチャンネル数を明示）
+        audio.processDirectAudio(this.slotId, samples, this.sampleRate, this.channels);
+    }
+}
+
+class DirectServer {
+    constructor() {
+        this.server = null;
+        this.tcpServer = null;
+        // ハンドシェイク前を含む全接続
+        this.connections = new Set();
+        // slotId -> DirectSession (仕様 4.2.3: 複数Senderのミックス)
+        this.sessions = new Map();
+
+        // ステータス変更時のコールバック (slotId, connected, rate, info)
+        this.onStatusChange = null;
+        // 待ち受けるパス (仕様 2.2)
+        this.socketPath = LinkSender.RECEIVER_PATH;
+    }
+
+    start() {
+        const isWin = process.platform === 'win32';
+
+        if (!isWin && fs.existsSync(this.socketPath)) { try { fs.unlinkSync(this.socketPath); } catch (e) { } }
+
+        this.server = net.createServer((socket) => this.handleConnection(socket, 'local'));
+
+        this.server.listen(this.socketPath, () => {
+            console.log(`IPC Server listening on ${this.socketPath}`);
+        });
+
+        this.startTcp();
+    }
+
+    // 設定に従ってループバックTCPリスナーを起動 (設定変更時は再起動)
+    startTcp() {
+        this.stopTcp();
+        const link = store.data.directLink;
+        if (!link.tcpEnabled) return;
+        const error = this.checkTcpSettings(link);
+        if (error) {
+            console.error(`TCP Server not started: ${error}`);
+            return;
         }
-        if (buffer.length === 0) return;
 
-        // メメモリアライメントの安全な確保 (Buffer.buffer が 4バイト境界でない場合への対策)
-        const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
-        const floatArray = new Float32Array(arrayBuffer);
+        this.tcpServer = net.createServer((socket) => {
+            socket.setNoDelay(true);
+            this.handleConnection(socket, 'tcp');
+        });
+        this.tcpServer.on('error', (err) => {
+            console.error(`TCP Server error (${link.tcpHost}:${link.tcpPort}):`, err.message);
+        });
+        this.tcpServer.listen(link.tcpPort, link.tcpHost, () => {
+            console.log(`TCP Server listening on ${link.tcpHost}:${link.tcpPort}${link.token ? ' (token required)' : ''}`);
+        });
+    }
+
+    // ループバック以外で待ち受ける場合は、誰でも音声を送り込めないようトークンを必須にする
+    // @returns {string|null} 起動できない理由
+    checkTcpSettings(link) {
+        if (link.token || isLoopbackHost(link.tcpHost)) return null;
+        return `A token is required to listen on a non-loopback address (${link.tcpHost})`;
+    }
+
+    stopTcp() {
+        if (!this.tcpServer) return;
+        this.tcpServer.close();
+        this.tcpServer = null;
+        // 既存のTCP接続も切断 (新しいトークン/アドレスで再接続させる)
+        this.connections.forEach(session => {
+            if (session.transport === 'tcp') session.socket.destroy();
+        });
+    }
+
+    handleConnection(socket, transport) {
+        const session = new DirectSession(this, socket, transport);
+        this.connections.add(session);
+        console.log(`UX Music Connected (${session.label})`);
+
+        socket.on('data', (buffer) => session.handleData(buffer));
+
+        socket.on('close', () => {
+            console.log(`UX Music Disconnected (${session.label})`);
+            this.connections.delete(session);
+            this.releaseSlot(session);
+        });
+
+        socket.on('error', (err) => {
+            console.warn(`[${session.label}] Socket error:`, err.message);
+        });
+    }
+
+    getRequiredToken(transport) {
+        return transport === 'tcp' ? store.data.directLink.token : '';
+    }
+
+    // ハンドシェイク成功時にスロットを割り当てる。全て使用中なら新しいスロットを作成
+    acceptSession(session) {
+        const free = store.data.directs.find(d => !this.sessions.has(d.id));
+        const slotId = free ? free.id : store.addDirect();
+        audio.addDirectSource(slotId);
+        this.sessions.set(slotId, session);
+        return slotId;
+    }
+
+    releaseSlot(session) {
+        session.close();
+        if (session.slotId === null || this.sessions.get(session.slotId) !== session) return;
+        this.sessions.delete(session.slotId);
+        audio.resetDirectSource(session.slotId);
+        this.reportStatus(session.slotId, false);
+    }
 
-        // AudioEngineへ処理を委譲（チャンネル数を明示）
-        audio.processDirectAudio(floatArray, this.sampleRate, 2);
+    isSlotConnected(slotId) {
+        return this.sessions.has(slotId);
     }
 
-    reportStatus(connected, rate) {
-        if (this.onStatusChange) this.onStatusChange(connected, rate);
+    reportStatus(slotId, connected, rate, info) {
+        if (this.onStatusChange) this.onStatusChange(slotId, connected, rate, info);
     }
 }
 
-module.exports = new DirectServer();
\ No newline at end of file
+module.exports = new DirectServer();
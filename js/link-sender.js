@@ -0,0 +1,121 @@
+// js/link-sender.js
+// UX Direct Audio Link の送信側 (クライアント)。出力ストリップのミックスを UXD1 (2ch float32) で送る
+// 仕様 4.1: 書き込みは非同期で行い、Receiverが見つからない間は音声を捨てながらバックグラウンドで再接続を試みる
+const net = require('net');
+
+const RECONNECT_MS = 2000;
+// Receiverの読み取りが追いつかない場合、送信待ちがこの時間分を超えたら新しいデータを捨てる (遅延が溜まり続けないように)
+const MAX_PENDING_SEC = 0.2;
+const UXD1_HEADER_SIZE = 8;
+const FRAME_BYTES = 8; // float32 x 2ch
+// このルーター自身の受信パス (仕様 2.2、ipc.js が待ち受ける)
+const RECEIVER_PATH = process.platform === 'win32' ? '\\\\.\\pipe\\ux_audio_router_pipe' : '/tmp/ux_audio_router.sock';
+
+class LinkSender {
+    /**
+     * @param {number} sampleRate UXD1ヘッダーで通知するレート (送信元コンテキストのレート)
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.path = '';
+        this.socket = null;
+        // 'off' (送信先なし) | 'connecting' | 'connected'
+        this.state = 'off';
+        this.lastError = '';
+        // 送信が詰まって捨てたフレーム数 (接続ごとにリセット)
+        this.droppedFrames = 0;
+        this.retryTimer = null;
+        this.closed = false;
+    }
+
+    // 送信先が変わったら接続し直す
+    setPath(path) {
+        if (path === this.path) return;
+        this.path = path;
+        this.lastError = '';
+        this.disconnect();
+        this.connect();
+    }
+
+    connect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.closed || !this.path) {
+            this.state = 'off';
+            return;
+        }
+        // 自分自身の受信パスへ送るとミックスがループする (設定の読み込み・リモートAPI等どの経路で指定されても送らない)
+        if (this.path === RECEIVER_PATH) {
+            this.state = 'off';
+            this.lastError = 'This path is this router\'s own Direct Link receiver';
+            return;
+        }
+        this.state = 'connecting';
+        const socket = net.connect({ path: this.path });
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            if (this.socket !== socket) return;
+            const header = Buffer.alloc(UXD1_HEADER_SIZE);
+            header.write('UXD1', 0);
+            header.writeUInt32LE(this.sampleRate, 4);
+            socket.write(header);
+            this.state = 'connected';
+            this.lastError = '';
+            this.droppedFrames = 0;
+            console.log(`Direct Link sender connected to ${this.path}`);
+        });
+        // UXD1 ではReceiverから送られてくるものは無い
+        socket.on('data', () => { });
+        socket.on('error', (err) => {
+            this.lastError = err.message;
+        });
+        socket.on('close', () => {
+            if (this.socket !== socket) return;
+            if (this.state === 'connected') console.log(`Direct Link sender disconnected from ${this.path}`);
+            this.socket = null;
+            this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.closed || !this.path) {
+            this.state = 'off';
+            return;
+        }
+        this.state = 'connecting';
+        this.retryTimer = setTimeout(() => this.connect(), RECONNECT_MS);
+    }
+
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.destroy();
+        }
+        this.state = 'off';
+    }
+
+    /**
+     * @param {Float32Array} samples 2ch インターリーブ (フレーム単位で渡すこと)
+     */
+    send(samples) {
+        if (this.state !== 'connected') return;
+        if (this.socket.writableLength + samples.byteLength > MAX_PENDING_SEC * this.sampleRate * FRAME_BYTES) {
+            this.droppedFrames += samples.length / 2;
+            return;
+        }
+        this.socket.write(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+    }
+
+    close() {
+        this.closed = true;
+        this.disconnect();
+    }
+}
+
+LinkSender.RECEIVER_PATH = RECEIVER_PATH;
+
+module.exports = LinkSender;
@@ -0,0 +1,117 @@
+// js/meters.js
+// レベルメーターの計測 (AnalyserNode の float 波形から) とバリスティクス
+// 表示は dBFS、true-peak は4倍オーバーサンプリングの補間で推定する
+
+const MIN_DB = -60;
+const MAX_DB = 0;
+const SCALE_TICKS = [0, -6, -12, -18, -24, -36, -48, -60];
+
+const PEAK_DECAY_DB_PER_SEC = 20;
+const PEAK_HOLD_SEC = 1.5;
+const HOLD_DECAY_DB_PER_SEC = 30;
+const RMS_TIME_CONSTANT = 0.3;
+// クリップ判定 (true-peak が 0dBFS 以上)
+const CLIP_LEVEL = 1.0;
+
+// 4倍オーバーサンプリング用の補間フィルター (Hann窓付きsinc、16タップ x 3位相)
+const OVERSAMPLE = 4;
+const HALF_TAPS = 8;
+const PHASE_COEFS = [];
+for (let p = 1; p < OVERSAMPLE; p++) {
+    const frac = p / OVERSAMPLE;
+    const coefs = new Float32Array(HALF_TAPS * 2);
+    for (let k = -HALF_TAPS + 1; k <= HALF_TAPS; k++) {
+        const t = frac - k;
+        const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * t / HALF_TAPS);
+        coefs[k + HALF_TAPS - 1] = sinc * window;
+    }
+    PHASE_COEFS.push(coefs);
+}
+
+function toDb(level) {
+    return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+// MIN_DB〜MAX_DB を 0〜100 (%) に割り当てる
+function dbToPercent(db) {
+    return Math.max(0, Math.min(100, (db - MIN_DB) / (MAX_DB - MIN_DB) * 100));
+}
+
+/**
+ * サンプル間のピークを推定する。
+ * サンプルピークの -6dB 以上の区間だけを補間する (それより小さい区間の補間値がピークを超えることはほぼ無い)
+ */
+function truePeak(buffer, length, samplePeak) {
+    let peak = samplePeak;
+    const threshold = samplePeak * 0.5;
+    for (let i = HALF_TAPS - 1; i < length - HALF_TAPS; i++) {
+        if (Math.abs(buffer[i]) < threshold && Math.abs(buffer[i + 1]) < threshold) continue;
+        for (let p = 0; p < PHASE_COEFS.length; p++) {
+            const coefs = PHASE_COEFS[p];
+            let sum = 0;
+            for (let k = 0; k < coefs.length; k++) sum += buffer[i - HALF_TAPS + 1 + k] * coefs[k];
+            const v = Math.abs(sum);
+            if (v > peak) peak = v;
+        }
+    }
+    return peak;
+}
+
+/**
+ * @param {AnalyserNode|null} analyser
+ * @param {Float32Array} buffer analyser.fftSize 以上の作業用バッファ
+ * @returns {{peak: number, truePeak: number, rms: number}} リニア値
+ */
+function measure(analyser, buffer) {
+    if (!analyser) return { peak: 0, truePeak: 0, rms: 0 };
+    const length = analyser.fftSize;
+    analyser.getFloatTimeDomainData(buffer);
+    let peak = 0;
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+        const v = buffer[i];
+        const a = Math.abs(v);
+        if (a > peak) peak = a;
+        sum += v * v;
+    }
+    return { peak: peak, truePeak: peak > 0 ? truePeak(buffer, length, peak) : 0, rms: Math.sqrt(sum / length) };
+}
+
+// 1チャンネル分の表示状態 (ピークの減衰、ピークホールド、RMSの積分、クリップのラッチ)
+class MeterBallistics {
+    constructor() {
+        this.peakDb = -Infinity;
+        this.holdDb = -Infinity;
+        this.holdTime = 0;
+        this.rmsPower = 0;
+        this.clip = false;
+    }
+
+    update(reading, dt) {
+        const peakDb = toDb(reading.truePeak);
+        this.peakDb = Math.max(peakDb, this.peakDb - PEAK_DECAY_DB_PER_SEC * dt);
+
+        if (peakDb >= this.holdDb) {
+            this.holdDb = peakDb;
+            this.holdTime = PEAK_HOLD_SEC;
+        } else if (this.holdTime > 0) {
+            this.holdTime -= dt;
+        } else {
+            this.holdDb -= HOLD_DECAY_DB_PER_SEC * dt;
+        }
+
+        this.rmsPower += (reading.rms * reading.rms - this.rmsPower) * (1 - Math.exp(-dt / RMS_TIME_CONSTANT));
+        if (reading.truePeak >= CLIP_LEVEL) this.clip = true;
+    }
+
+    get rmsDb() {
+        return toDb(Math.sqrt(this.rmsPower));
+    }
+
+    resetClip() {
+        this.clip = false;
+    }
+}
+
+module.exports = { MIN_DB, MAX_DB, SCALE_TICKS, toDb, dbToPercent, truePeak, measure, MeterBallistics };
@@ -0,0 +1,393 @@
+// js/osc.js
+// OSC (Open Sound Control 1.0) over UDP のコントロールサーフェス対応 (TouchOSC, Companion 等)
+// 受信したメッセージは UI と同じ Store のメソッドで処理し、値が変わったら登録済みのクライアントへ送り返す
+// アドレス空間は markdown/osc.md を参照
+const dgram = require('dgram');
+const store = require('./store');
+const audio = require('./audio');
+const { tokensMatch, isLoopbackHost } = require('./auth');
+
+const STRIP_KINDS = ['input', 'direct', 'output'];
+const ROUTE_TYPES = ['hardware', 'direct'];
+// 送り返す先の最大数 (超えたら最も長く送ってきていないクライアントを外す)
+const MAX_CLIENTS = 8;
+// 連続する変更 (フェーダー操作等) をまとめて送り返す
+const FEEDBACK_DEBOUNCE_MS = 20;
+// Store のイベントが無い変化 (エンジンの起動/停止) を拾う間隔
+const FEEDBACK_POLL_MS = 1000;
+// フェーダー/センドレベルのメッセージがこの時間途切れたら1回の操作として Undo 履歴を区切る (操作対象ごと)
+const VOLUME_COMMIT_MS = 500;
+
+// --- OSC 1.0 エンコード/デコード ---
+// 文字列は NUL 終端して4バイト境界まで埋める
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) throw new Error('Unterminated OSC string');
+    return { value: buffer.toString('utf8', offset, end), offset: (end + 4) & ~3 };
+}
+
+function writeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const padded = Buffer.alloc((bytes.length + 4) & ~3);
+    bytes.copy(padded);
+    return padded;
+}
+
+/**
+ * 1パケット (メッセージまたはバンドル) をメッセージの配列にする。バンドルのタイムタグは無視して即座に実行する
+ * @returns {{address: string, args: Array<number|string|boolean|null|Buffer>}[]}
+ * @throws {Error} 壊れたパケット
+ */
+function decodePacket(buffer) {
+    const head = readString(buffer, 0);
+    if (head.value === '#bundle') {
+        const messages = [];
+        let offset = head.offset + 8; // タイムタグ
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            offset += 4;
+            if (size <= 0 || offset + size > buffer.length) throw new Error('Invalid OSC bundle element');
+            messages.push(...decodePacket(buffer.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+
+    const address = head.value;
+    if (!address.startsWith('/')) throw new Error(`Invalid OSC address: ${address}`);
+    const args = [];
+    // 型タグの無い古い形式は引数なしとして扱う
+    if (head.offset >= buffer.length) return [{ address: address, args: args }];
+    const tags = readString(buffer, head.offset);
+    if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tag string');
+    let offset = tags.offset;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buffer.readFloatBE(offset)); offset += 4; break;
+            case 'h': args.push(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 's':
+            case 'S': {
+                const str = readString(buffer, offset);
+                args.push(str.value);
+                offset = str.offset;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                args.push(buffer.subarray(offset + 4, offset + 4 + size));
+                offset = (offset + 4 + size + 3) & ~3;
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default: throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+    return [{ address: address, args: args }];
+}
+
+// 数値は全て float32 で送る (多くのサーフェスのフェーダー/トグルが float を期待するため)
+function encodeMessage(address, values) {
+    const args = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => args.writeFloatBE(v, i * 4));
+    return Buffer.concat([writeString(address), writeString(`,${'f'.repeat(values.length)}`), args]);
+}
+
+// 数値/真偽値の引数 -> number (それ以外は null)
+function argToNumber(arg) {
+    if (typeof arg === 'boolean') return arg ? 1 : 0;
+    if (typeof arg === 'number' && Number.isFinite(arg)) return arg;
+    return null;
+}
+
+class OscServer {
+    constructor() {
+        this.socket = null;
+        // 送信元 'address:port' -> { address, port (送り返す先), lastSeen }
+        this.clients = new Map();
+        // 最後に送り返した値 (address -> number)。変わった値だけを送る
+        this.lastValues = new Map();
+        this.feedbackTimer = null;
+        this.pollTimer = null;
+        // 操作対象 (フェーダー/センド) -> Undo 履歴を区切るタイマー
+        this.commitTimers = new Map();
+        this.status = { listening: false, host: '', port: 0, error: '', clients: 0 };
+
+        // 待ち受け状態やクライアント数が変わった時 (status) => void
+        this.onStatusChange = null;
+        // /engine/running でエンジンを起動/停止した時 (running) => void
+        this.onEngineChange = null;
+    }
+
+    // 起動時に1回だけ呼ぶ (設定変更時は restart())
+    start() {
+        ['saved', 'strip-changed', 'routing-changed', 'send-level-changed', 'output-processing-changed'].forEach(name => {
+            store.on(name, () => this.scheduleFeedback());
+        });
+        this.restart();
+    }
+
+    // 設定 (store.data.osc) に従って待ち受けを開始/停止する
+    restart() {
+        this.stop();
+        const settings = store.data.osc;
+        if (!settings.enabled) {
+            this.reportStatus();
+            return;
+        }
+        const error = this.checkSettings(settings);
+        if (error) {
+            console.error(`OSC server not started: ${error}`);
+            this.status.error = error;
+            this.reportStatus();
+            return;
+        }
+
+        const socket = dgram.createSocket('udp4');
+        this.socket = socket;
+        socket.on('message', (msg, rinfo) => this.handlePacket(msg, rinfo));
+        socket.on('error', (err) => {
+            console.error(`OSC server error (${settings.host}:${settings.port}):`, err.message);
+            if (this.socket !== socket) return;
+            this.stop();
+            this.status.error = err.message;
+            this.reportStatus();
+        });
+        socket.bind(settings.port, settings.host, () => {
+            if (this.socket !== socket) return;
+            console.log(`OSC server listening on ${settings.host}:${settings.port}`);
+            this.status = { listening: true, host: settings.host, port: settings.port, error: '', clients: 0 };
+            this.lastValues = this.collectValues();
+            this.reportStatus();
+        });
+        this.pollTimer = setInterval(() => this.sendFeedback(), FEEDBACK_POLL_MS);
+    }
+
+    stop() {
+        if (this.socket) {
+            try { this.socket.close(); } catch (e) { }
+            this.socket = null;
+        }
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        clearTimeout(this.feedbackTimer);
+        this.feedbackTimer = null;
+        this.clients.clear();
+        this.lastValues.clear();
+        this.status = { listening: false, host: '', port: 0, error: '', clients: 0 };
+    }
+
+    // OSC には認証が無いため、ループバック以外で待ち受ける場合は /register のトークンを必須にする
+    // @returns {string|null} 起動できない理由
+    checkSettings(settings) {
+        if (settings.token || isLoopbackHost(settings.host)) return null;
+        return `A token is required to listen on a non-loopback address (${settings.host})`;
+    }
+
+    reportStatus() {
+        this.status.clients = this.clients.size;
+        if (this.onStatusChange) this.onStatusChange({ ...this.status });
+    }
+
+    handlePacket(msg, rinfo) {
+        let messages;
+        try {
+            messages = decodePacket(msg);
+        } catch (e) {
+            console.warn(`OSC packet from ${rinfo.address}:${rinfo.port} ignored:`, e.message);
+            return;
+        }
+        messages.forEach(m => this.handleMessage(m, rinfo));
+    }
+
+    // --- Clients ---
+    /**
+     * /register [token] [port] で登録したクライアントだけに値を送る (登録時に現在の値を全て送る)。
+     * 送り返す先は port、無ければ設定の feedbackPort、0 なら送信元のポート
+     */
+    registerClient(rinfo, args) {
+        const key = `${rinfo.address}:${rinfo.port}`;
+        const expected = store.data.osc.token;
+        const token = args.find(arg => typeof arg === 'string');
+        if (expected && (token === undefined || !tokensMatch(token, expected))) {
+            console.warn(`OSC /register from ${key} refused: invalid token`);
+            return;
+        }
+        const port = args.map(argToNumber).find(value => value !== null && value >= 1 && value <= 65535);
+
+        let client = this.clients.get(key);
+        if (!client) {
+            if (this.clients.size >= MAX_CLIENTS) {
+                const oldest = Array.from(this.clients.entries()).sort((a, b) => a[1].lastSeen - b[1].lastSeen)[0];
+                this.clients.delete(oldest[0]);
+            }
+            client = { address: rinfo.address, port: 0, lastSeen: 0 };
+            this.clients.set(key, client);
+            this.reportStatus();
+        }
+        client.port = port !== undefined ? Math.round(port) : (store.data.osc.feedbackPort || rinfo.port);
+        client.lastSeen = performance.now();
+        this.sendAll(client);
+    }
+
+    removeClient(rinfo) {
+        if (this.clients.delete(`${rinfo.address}:${rinfo.port}`)) this.reportStatus();
+    }
+
+    // --- Address Space ---
+    handleMessage(message, rinfo) {
+        const parts = message.address.split('/').slice(1);
+        const args = message.args;
+
+        if (message.address === '/register') {
+            this.registerClient(rinfo, args);
+            return;
+        }
+        const client = this.clients.get(`${rinfo.address}:${rinfo.port}`) || null;
+        // トークンを設定している場合は登録済みのクライアントからのメッセージだけを受け付ける
+        if (!client && store.data.osc.token) return;
+        if (message.address === '/unregister') {
+            this.removeClient(rinfo);
+            return;
+        }
+        if (client) client.lastSeen = performance.now();
+        if (message.address === '/sync') {
+            if (client) this.sendAll(client);
+            return;
+        }
+
+        // 引数なしは現在の値の問い合わせ (登録済みのクライアントにだけ返す)
+        const value = argToNumber(args[0]);
+        if (args.length === 0) {
+            const current = this.collectValues().get(message.address);
+            if (client && current !== undefined) this.send(client, message.address, current);
+            return;
+        }
+        if (value === null) return;
+
+        if (message.address === '/engine/running') {
+            this.setEngine(value >= 0.5);
+            return;
+        }
+        // /{input|direct|output}/{id}/{volume|mute}。/direct/{id}/gain は volume の別名
+        if (parts.length === 3 && STRIP_KINDS.includes(parts[0])) {
+            const id = parseInt(parts[1]);
+            if (parts[2] === 'volume' || (parts[0] === 'direct' && parts[2] === 'gain')) this.setVolume(parts[0], id, value);
+            else if (parts[2] === 'mute') this.setMuted(parts[0], id, value >= 0.5);
+            return;
+        }
+        // /route/{hardware|direct}/{sourceId}/{outputId}[/level|/prefader]
+        if ((parts.length === 4 || parts.length === 5) && parts[0] === 'route' && ROUTE_TYPES.includes(parts[1])) {
+            this.setRoute(parts[1], parseInt(parts[2]), parseInt(parts[3]), parts[4] || 'on', value);
+        }
+    }
+
+    setVolume(kind, id, value) {
+        if (!store.getStrip(kind, id)) return;
+        store.setVolume(kind, id, value);
+        this.scheduleCommit(`${kind}-${id}-volume`);
+    }
+
+    // フェーダー/センドレベルの操作中は1ステップにまとめ、止まったら保存する
+    scheduleCommit(key) {
+        clearTimeout(this.commitTimers.get(key));
+        this.commitTimers.set(key, setTimeout(() => {
+            this.commitTimers.delete(key);
+            store.commit();
+        }, VOLUME_COMMIT_MS));
+    }
+
+    setMuted(kind, id, muted) {
+        const strip = store.getStrip(kind, id);
+        if (strip && strip.isMuted !== muted) store.setMuted(kind, id, muted);
+    }
+
+    setRoute(type, sourceId, outputId, param, value) {
+        if (!store.getSource(type, sourceId) || !store.getStrip('output', outputId)) return;
+        const routed = store.isRouted(type, sourceId, outputId);
+        if (param === 'on') {
+            if (routed !== value >= 0.5) store.toggleRouting(type, sourceId, outputId);
+        } else if (param === 'level' && routed) {
+            store.setSendLevel(type, sourceId, outputId, value);
+            this.scheduleCommit(`send-${type}-${sourceId}-${outputId}`);
+        } else if (param === 'prefader' && routed) {
+            store.setSendPreFader(type, sourceId, outputId, value >= 0.5);
+        }
+    }
+
+    async setEngine(running) {
+        if (running === audio.isRunning) return;
+        if (running) {
+            try {
+                await audio.start();
+            } catch (e) {
+                console.warn('OSC engine start failed:', e);
+            }
+        } else {
+            audio.stop();
+        }
+        if (this.onEngineChange) this.onEngineChange(audio.isRunning);
+        this.sendFeedback();
+    }
+
+    // --- Feedback ---
+    // 送り返す全ての値 (address -> number)
+    collectValues() {
+        const values = new Map();
+        values.set('/engine/running', audio.isRunning ? 1 : 0);
+        STRIP_KINDS.forEach(kind => {
+            store.data[`${kind}s`].forEach(strip => {
+                values.set(`/${kind}/${strip.id}/volume`, strip.volume);
+                values.set(`/${kind}/${strip.id}/mute`, strip.isMuted ? 1 : 0);
+                if (kind === 'direct') values.set(`/direct/${strip.id}/gain`, strip.volume);
+            });
+        });
+        store.getSources().forEach(({ type, source }) => {
+            store.data.outputs.forEach(out => {
+                const base = `/route/${type}/${source.id}/${out.id}`;
+                const send = store.getSend(type, source.id, out.id);
+                values.set(base, send ? 1 : 0);
+                if (!send) return;
+                values.set(`${base}/level`, send.level);
+                values.set(`${base}/prefader`, send.preFader ? 1 : 0);
+            });
+        });
+        return values;
+    }
+
+    scheduleFeedback() {
+        if (!this.socket || this.feedbackTimer) return;
+        this.feedbackTimer = setTimeout(() => {
+            this.feedbackTimer = null;
+            this.sendFeedback();
+        }, FEEDBACK_DEBOUNCE_MS);
+    }
+
+    // 前回から変わった値だけを全クライアントへ送る (クライアントがいなくても前回の値は更新しておく)
+    sendFeedback() {
+        if (!this.socket) return;
+        const values = this.collectValues();
+        values.forEach((value, address) => {
+            if (this.lastValues.get(address) === value) return;
+            this.clients.forEach(client => this.send(client, address, value));
+        });
+        this.lastValues = values;
+    }
+
+    sendAll(client) {
+        this.collectValues().forEach((value, address) => this.send(client, address, value));
+    }
+
+    send(client, address, value) {
+        if (!this.socket) return;
+        this.socket.send(encodeMessage(address, [value]), client.port, client.address, (err) => {
+            if (err) console.warn(`OSC send to ${client.address}:${client.port} failed:`, err.message);
+        });
+    }
+}
+
+module.exports = new OscServer();
@@ -0,0 +1,256 @@
+// js/recorder.js
+// 任意のストリップ (入力/Direct/出力) を WAV に録音する。複数ストリップの同時録音に対応
+// エンジンの再起動やデバイス変更で接続元が作り直されても、同じファイルへ録音を続ける
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('./store');
+const audio = require('./audio');
+const WavWriter = require('./wav-writer');
+
+const CHANNELS = 2;
+const POLL_INTERVAL_MS = 250;
+// この間隔でヘッダーのサイズを更新する (異常終了しても失うのはこれ以降の分だけ)
+const HEADER_INTERVAL_MS = 1000;
+// 停止時にタップの残りを待つ最大時間
+const STOP_TIMEOUT_MS = 500;
+// WAV の上限 (4GiB) より手前で必ず分割する
+const MAX_FILE_BYTES = 4000 * 1024 * 1024;
+const STRIP_LABELS = { input: 'IN', direct: 'DIRECT', output: 'A' };
+
+function defaultFolder() {
+    return path.join(os.homedir(), 'Music', 'UX Audio Router');
+}
+
+// YYYYMMDD-HHMMSS (ローカル時刻)
+function timestamp(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+class Recorder {
+    constructor() {
+        // 'kind:id' -> { kind, id, folder, baseName, bitDepth, splitBytes, part, writer, tap, source, elapsed, totalBytes, stopping }
+        this.recordings = new Map();
+        this.timer = null;
+        this.lastHeaderUpdate = 0;
+        // 書き込みエラーで録音が止まった時 (message) => void
+        this.onError = null;
+    }
+
+    key(kind, id) {
+        return `${kind}:${id}`;
+    }
+
+    stripLabel(kind, id) {
+        return `${STRIP_LABELS[kind]}${id}`;
+    }
+
+    getFolder() {
+        return store.data.recorder.folder || defaultFolder();
+    }
+
+    isRecording(kind, id) {
+        return this.recordings.has(this.key(kind, id));
+    }
+
+    get count() {
+        return this.recordings.size;
+    }
+
+    /**
+     * @returns {{elapsed: number, fileBytes: number, totalBytes: number, fileName: string, part: number}|null}
+     */
+    getStatus(kind, id) {
+        const rec = this.recordings.get(this.key(kind, id));
+        if (!rec) return null;
+        return {
+            elapsed: rec.elapsed,
+            fileBytes: rec.writer.fileBytes,
+            totalBytes: rec.totalBytes + rec.writer.fileBytes,
+            fileName: path.basename(rec.writer.filePath),
+            part: rec.part
+        };
+    }
+
+    /**
+     * 録音を開始する (設定は開始時の store.data.recorder を使う)
+     * @throws {Error} フォルダーやファイルを作れない場合
+     */
+    start(kind, id) {
+        const key = this.key(kind, id);
+        if (this.recordings.has(key)) return;
+        const settings = store.data.recorder;
+        const folder = this.getFolder();
+        fs.mkdirSync(folder, { recursive: true });
+
+        const rec = {
+            kind: kind,
+            id: id,
+            folder: folder,
+            baseName: `${timestamp(new Date())}_${this.stripLabel(kind, id)}`,
+            bitDepth: settings.bitDepth,
+            splitBytes: settings.splitSizeMB > 0 ? Math.min(settings.splitSizeMB * 1024 * 1024, MAX_FILE_BYTES) : MAX_FILE_BYTES,
+            part: 1,
+            writer: null,
+            tap: null,
+            source: null,
+            elapsed: 0,
+            // 分割済みファイルの合計サイズ
+            totalBytes: 0,
+            stopping: false,
+            stopTimer: null
+        };
+        rec.writer = this.openFile(rec, audio.sampleRate);
+        this.recordings.set(key, rec);
+        this.connect(rec);
+        this.startTimer();
+    }
+
+    // 分割2つ目以降は "-002" のような連番を付ける。同名のファイルがあれば " (2)" 等を付けて避ける
+    openFile(rec, sampleRate) {
+        const stem = rec.part === 1 ? rec.baseName : `${rec.baseName}-${String(rec.part).padStart(3, '0')}`;
+        for (let n = 1; ; n++) {
+            const filePath = path.join(rec.folder, n === 1 ? `${stem}.wav` : `${stem} (${n}).wav`);
+            if (fs.existsSync(filePath)) continue;
+            return new WavWriter(filePath, sampleRate, CHANNELS, rec.bitDepth);
+        }
+    }
+
+    split(rec, sampleRate) {
+        rec.writer.close();
+        rec.totalBytes += rec.writer.fileBytes;
+        rec.part++;
+        rec.writer = this.openFile(rec, sampleRate);
+    }
+
+    stop(kind, id) {
+        const rec = this.recordings.get(this.key(kind, id));
+        if (!rec || rec.stopping) return;
+        rec.stopping = true;
+        if (!rec.tap) {
+            this.finish(rec);
+            return;
+        }
+        // タップに残っている分を受け取ってから閉じる (コンテキストが止まっていれば時間切れで閉じる)
+        rec.tap.port.postMessage('stop');
+        rec.stopTimer = setTimeout(() => this.finish(rec), STOP_TIMEOUT_MS);
+    }
+
+    // アプリ終了時など、待たずに全てのファイルを閉じる
+    stopAll() {
+        Array.from(this.recordings.values()).forEach(rec => this.finish(rec));
+    }
+
+    finish(rec) {
+        if (this.recordings.get(this.key(rec.kind, rec.id)) !== rec) return;
+        clearTimeout(rec.stopTimer);
+        this.disconnect(rec);
+        try {
+            rec.writer.close();
+        } catch (e) {
+            console.error('Recorder close error:', e);
+        }
+        this.recordings.delete(this.key(rec.kind, rec.id));
+        if (this.recordings.size === 0) this.stopTimer();
+    }
+
+    fail(rec, error) {
+        console.error('Recorder write error:', error);
+        this.finish(rec);
+        if (this.onError) this.onError(`Recording ${this.stripLabel(rec.kind, rec.id)} stopped: ${error.message}`);
+    }
+
+    // 接続元が変わっていれば (エンジンの再起動、Direct の再接続など) タップを作り直す
+    connect(rec) {
+        const source = audio.getRecordSource(rec.kind, rec.id);
+        if (source === rec.source && rec.tap) return;
+        this.disconnect(rec);
+        if (!source) return;
+
+        if (source.context.sampleRate !== rec.writer.sampleRate) {
+            try {
+                this.split(rec, source.context.sampleRate);
+            } catch (e) {
+                this.fail(rec, e);
+                return;
+            }
+        }
+        const tap = new AudioWorkletNode(source.context, 'ux-pcm-tap', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: CHANNELS,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'speakers'
+        });
+        tap.port.onmessage = (e) => this.onChunk(rec, tap, e.data);
+        source.connect(tap);
+        rec.source = source;
+        rec.tap = tap;
+    }
+
+    disconnect(rec) {
+        if (rec.tap) {
+            rec.tap.port.postMessage('stop');
+            try { rec.source.disconnect(rec.tap); } catch (e) { }
+        }
+        rec.tap = null;
+        rec.source = null;
+    }
+
+    onChunk(rec, tap, data) {
+        if (data === 'done') {
+            if (rec.stopping && tap === rec.tap) this.finish(rec);
+            return;
+        }
+        if (this.recordings.get(this.key(rec.kind, rec.id)) !== rec) return;
+        try {
+            if (rec.writer.dataBytes + rec.writer.byteLength(data) > rec.splitBytes) this.split(rec, rec.writer.sampleRate);
+            rec.writer.write(data);
+            rec.elapsed += data.length / CHANNELS / rec.writer.sampleRate;
+        } catch (e) {
+            this.fail(rec, e);
+        }
+    }
+
+    stripExists(kind, id) {
+        const list = { input: store.data.inputs, direct: store.data.directs, output: store.data.outputs }[kind];
+        return !!list && list.some(s => s.id === id);
+    }
+
+    startTimer() {
+        if (this.timer) return;
+        this.lastHeaderUpdate = performance.now();
+        this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    poll() {
+        const now = performance.now();
+        const headerDue = now - this.lastHeaderUpdate >= HEADER_INTERVAL_MS;
+        if (headerDue) this.lastHeaderUpdate = now;
+
+        Array.from(this.recordings.values()).forEach(rec => {
+            if (rec.stopping) return;
+            // 削除されたストリップの録音は終了する
+            if (!this.stripExists(rec.kind, rec.id)) {
+                this.finish(rec);
+                return;
+            }
+            this.connect(rec);
+            if (!headerDue || !rec.writer) return;
+            try {
+                rec.writer.updateHeader();
+            } catch (e) {
+                this.fail(rec, e);
+            }
+        });
+    }
+}
+
+module.exports = new Recorder();
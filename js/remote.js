@@ -0,0 +1,353 @@
+// js/remote.js
+// リモートコントロール API のレンダラー側。メインプロセスの control-server.js から転送されたリクエストを処理する
+// 変更は UI と同じ Store のメソッドで行うため、画面とエンジンへの反映は Store のイベント経由で UI が行う
+// API の一覧は markdown/remote-control.md を参照
+const { ipcRenderer } = require('electron');
+const store = require('./store');
+const audio = require('./audio');
+const ipc = require('./ipc');
+const recorder = require('./recorder');
+const compressor = require('./compressor');
+const sends = require('./sends');
+const meters = require('./meters');
+
+// URL のリスト名 -> Store のストリップ種別
+const STRIP_KINDS = { inputs: 'input', directs: 'direct', outputs: 'output' };
+const ROUTE_TYPES = ['hardware', 'direct'];
+const METER_INTERVAL_MS = 100;
+// ドラッグ中など連続する変更をまとめて1回の状態通知にする
+const STATE_DEBOUNCE_MS = 50;
+
+/**
+ * HTTP ステータス付きのエラー (応答の {error} になる)
+ */
+class RemoteError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'RemoteError';
+        this.status = status;
+    }
+}
+
+function round(value, digits) {
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+}
+
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) throw new RemoteError(404, `Invalid id: ${value}`);
+    return id;
+}
+
+class RemoteControl {
+    constructor() {
+        // WebSocket クライアント数 (0 の間は状態/メーターを送らない)
+        this.clientCount = 0;
+        this.status = { listening: false, port: 0, error: '' };
+        this.stateTimer = null;
+        this.meterTimer = null;
+        // 'kind-id-L' -> MeterBallistics
+        this.meterStates = new Map();
+        this.meterBuffer = new Float32Array(2048);
+        // エンジン/Direct接続のように Store のイベントが無い変化を検出する
+        this.engineKey = '';
+        // サーバーの状態が変わった時 (status) => void
+        this.onStatusChange = null;
+    }
+
+    start() {
+        ipcRenderer.removeAllListeners('control-request');
+        ipcRenderer.removeAllListeners('control-clients');
+        ipcRenderer.removeAllListeners('control-status');
+
+        ipcRenderer.on('control-request', (event, id, request) => {
+            ipcRenderer.send('control-response', id, this.handle(request));
+        });
+        ipcRenderer.on('control-clients', (event, count) => {
+            const added = count > this.clientCount;
+            this.clientCount = count;
+            if (count > 0) this.startFeed();
+            else this.stopFeed();
+            // 新しいクライアントには現在の状態を最初に送る
+            if (added) this.pushState();
+        });
+        ipcRenderer.on('control-status', (event, status) => {
+            this.status = status;
+            if (this.onStatusChange) this.onStatusChange(status);
+        });
+
+        ['saved', 'strip-changed', 'routing-changed', 'send-level-changed', 'output-processing-changed'].forEach(name => {
+            store.on(name, () => this.scheduleState());
+        });
+        this.configure();
+    }
+
+    // 設定 (store.data.remoteControl) に従ってサーバーを起動/停止する
+    configure() {
+        ipcRenderer.send('control-config', store.data.remoteControl);
+    }
+
+    /**
+     * @param {{method: string, path: string, body: *}} request
+     * @returns {{status: number, body: *}}
+     */
+    handle(request) {
+        try {
+            return { status: 200, body: this.route(request.method, request.path, request.body) };
+        } catch (e) {
+            if (e instanceof RemoteError) return { status: e.status, body: { error: e.message } };
+            console.error('Remote control error:', e);
+            return { status: 500, body: { error: e.message } };
+        }
+    }
+
+    route(method, path, body) {
+        const parts = path.split('/').filter(p => p);
+        if (parts[0] !== 'api') throw new RemoteError(404, `Unknown path: ${path}`);
+        const [, resource, ...rest] = parts;
+
+        if (resource === 'state' && rest.length === 0) return this.only(method, 'GET', () => this.getState());
+        if (resource === 'engine' && rest.length === 0) return this.only(method, 'GET', () => ({ engine: this.getEngine() }));
+        if (resource === 'meters' && rest.length === 0) return this.only(method, 'GET', () => this.readMeters(0));
+        if (resource === 'routes') return this.routeSends(method, rest, body);
+
+        const kind = STRIP_KINDS[resource];
+        if (!kind) throw new RemoteError(404, `Unknown path: ${path}`);
+        if (rest.length === 0) {
+            return this.only(method, 'GET', () => ({ [resource]: store.data[resource].map(s => this.describeStrip(kind, s)) }));
+        }
+        const id = parseId(rest[0]);
+        const strip = store.getStrip(kind, id);
+        if (!strip) throw new RemoteError(404, `${kind} ${id} not found`);
+
+        if (rest.length === 1) {
+            if (method === 'GET') return { [kind]: this.describeStrip(kind, strip) };
+            return this.only(method, 'PATCH', () => this.patchStrip(kind, strip, body));
+        }
+        if (kind === 'output' && rest[1] === 'eq' && rest.length === 2) {
+            if (method === 'GET') return { eq: strip.eq };
+            return this.only(method, 'PUT', () => {
+                const warnings = store.setOutputEq(id, this.object(body));
+                return { eq: strip.eq, warnings: warnings };
+            });
+        }
+        if (kind === 'output' && rest[1] === 'compressor') {
+            if (rest.length === 3 && rest[2] === 'preset') {
+                return this.only(method, 'POST', () => this.applyCompressorPreset(strip, body));
+            }
+            if (rest.length === 2) {
+                if (method === 'GET') return { compressor: strip.compressor };
+                // PUT は全体の置き換え、PATCH は指定した項目だけ変更する
+                if (method === 'PATCH') {
+                    const warnings = store.setOutputCompressor(id, { ...strip.compressor, ...this.object(body) });
+                    return { compressor: strip.compressor, warnings: warnings };
+                }
+                return this.only(method, 'PUT', () => {
+                    const warnings = store.setOutputCompressor(id, this.object(body));
+                    return { compressor: strip.compressor, warnings: warnings };
+                });
+            }
+        }
+        throw new RemoteError(404, `Unknown path: ${path}`);
+    }
+
+    only(method, allowed, fn) {
+        if (method !== allowed) throw new RemoteError(405, `Method ${method} not allowed (use ${allowed})`);
+        return fn();
+    }
+
+    object(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new RemoteError(400, 'Request body must be a JSON object');
+        return body;
+    }
+
+    // --- Strips ---
+    // { volume } (リニア 0〜1.5) または { volumeDb }、{ muted }
+    patchStrip(kind, strip, body) {
+        const values = this.object(body);
+        let volume = null;
+        if (values.volume !== undefined) {
+            if (typeof values.volume !== 'number' || !Number.isFinite(values.volume)) throw new RemoteError(400, 'volume must be a number');
+            volume = values.volume;
+        } else if (values.volumeDb !== undefined) {
+            if (typeof values.volumeDb !== 'number' || Number.isNaN(values.volumeDb)) throw new RemoteError(400, 'volumeDb must be a number');
+            volume = sends.dbToLevel(values.volumeDb);
+        }
+        if (values.muted !== undefined && typeof values.muted !== 'boolean') throw new RemoteError(400, 'muted must be a boolean');
+        if (volume === null && values.muted === undefined) throw new RemoteError(400, 'Expected volume, volumeDb or muted');
+
+        store.group(() => {
+            if (volume !== null) store.setVolume(kind, strip.id, volume);
+            if (values.muted !== undefined && values.muted !== strip.isMuted) store.setMuted(kind, strip.id, values.muted);
+        });
+        store.commit();
+        return { [kind]: this.describeStrip(kind, strip) };
+    }
+
+    applyCompressorPreset(strip, body) {
+        const name = this.object(body).name;
+        if (!store.applyCompressorPreset(strip.id, name)) {
+            throw new RemoteError(400, `Unknown preset: ${name} (available: ${Object.keys(compressor.PRESETS).join(', ')})`);
+        }
+        return { compressor: strip.compressor };
+    }
+
+    describeStrip(kind, strip) {
+        const result = {
+            id: strip.id,
+            volume: strip.volume,
+            volumeDb: round(sends.levelToDb(strip.volume), 2),
+            muted: strip.isMuted
+        };
+        if (kind === 'input') {
+            result.deviceId = strip.deviceId;
+            result.channels = strip.channels;
+        } else if (kind === 'direct') {
+            result.connected = ipc.isSlotConnected(strip.id);
+        } else {
+            result.type = strip.type;
+            result.deviceId = strip.selectedDeviceId;
+            result.linkPath = strip.linkPath;
+            result.channels = strip.channels;
+            result.delayMs = strip.delayMs;
+            result.eq = strip.eq;
+            result.compressor = strip.compressor;
+        }
+        if (kind !== 'output') result.sends = strip.sends.map(s => ({ outputId: s.outputId, level: s.level, preFader: s.preFader }));
+        return result;
+    }
+
+    // --- Routing ---
+    // /api/routes, /api/routes/{hardware|direct}/{sourceId}/{outputId}
+    routeSends(method, rest, body) {
+        if (rest.length === 0) {
+            return this.only(method, 'GET', () => ({
+                routes: store.getSources().flatMap(({ type, source }) => source.sends.map(s => this.describeRoute(type, source.id, s)))
+            }));
+        }
+        if (rest.length !== 3 || !ROUTE_TYPES.includes(rest[0])) throw new RemoteError(404, 'Expected /api/routes/{hardware|direct}/{sourceId}/{outputId}');
+        const type = rest[0];
+        const sourceId = parseId(rest[1]);
+        const outputId = parseId(rest[2]);
+        if (!store.getSource(type, sourceId)) throw new RemoteError(404, `${type} source ${sourceId} not found`);
+        if (!store.getStrip('output', outputId)) throw new RemoteError(404, `output ${outputId} not found`);
+
+        if (method === 'GET') {
+            const send = store.getSend(type, sourceId, outputId);
+            if (!send) throw new RemoteError(404, 'Not routed');
+            return { route: this.describeRoute(type, sourceId, send) };
+        }
+        if (method === 'DELETE') {
+            if (store.isRouted(type, sourceId, outputId)) store.toggleRouting(type, sourceId, outputId);
+            return { route: null };
+        }
+        // PUT: 未接続なら接続し、{ level, preFader } があれば設定する
+        return this.only(method, 'PUT', () => {
+            const values = body === null ? {} : this.object(body);
+            if (values.level !== undefined && (typeof values.level !== 'number' || !Number.isFinite(values.level))) {
+                throw new RemoteError(400, 'level must be a number');
+            }
+            if (values.preFader !== undefined && typeof values.preFader !== 'boolean') throw new RemoteError(400, 'preFader must be a boolean');
+            store.group(() => {
+                if (!store.isRouted(type, sourceId, outputId)) store.toggleRouting(type, sourceId, outputId);
+                if (values.level !== undefined) store.setSendLevel(type, sourceId, outputId, values.level);
+                if (values.preFader !== undefined) store.setSendPreFader(type, sourceId, outputId, values.preFader);
+            });
+            store.commit();
+            return { route: this.describeRoute(type, sourceId, store.getSend(type, sourceId, outputId)) };
+        });
+    }
+
+    describeRoute(type, sourceId, send) {
+        return { type: type, sourceId: sourceId, outputId: send.outputId, level: send.level, preFader: send.preFader };
+    }
+
+    // --- State ---
+    getEngine() {
+        return { running: audio.isRunning, sampleRate: audio.sampleRate, recordings: recorder.count };
+    }
+
+    getState() {
+        return {
+            engine: this.getEngine(),
+            inputs: store.data.inputs.map(s => this.describeStrip('input', s)),
+            directs: store.data.directs.map(s => this.describeStrip('direct', s)),
+            outputs: store.data.outputs.map(s => this.describeStrip('output', s)),
+            compressorPresets: Object.keys(compressor.PRESETS)
+        };
+    }
+
+    scheduleState() {
+        if (this.clientCount === 0 || this.stateTimer) return;
+        this.stateTimer = setTimeout(() => {
+            this.stateTimer = null;
+            this.pushState();
+        }, STATE_DEBOUNCE_MS);
+    }
+
+    pushState() {
+        if (this.clientCount === 0) return;
+        ipcRenderer.send('control-event', { type: 'state', state: this.getState() });
+    }
+
+    // --- Meters ---
+    startFeed() {
+        if (this.meterTimer) return;
+        this.meterStates.clear();
+        this.meterTimer = setInterval(() => this.tick(), METER_INTERVAL_MS);
+    }
+
+    stopFeed() {
+        clearInterval(this.meterTimer);
+        this.meterTimer = null;
+        clearTimeout(this.stateTimer);
+        this.stateTimer = null;
+    }
+
+    tick() {
+        const engineKey = `${audio.isRunning}:${store.data.directs.filter(d => ipc.isSlotConnected(d.id)).map(d => d.id).join(',')}`;
+        if (engineKey !== this.engineKey) {
+            this.engineKey = engineKey;
+            this.pushState();
+        }
+        ipcRenderer.send('control-event', { type: 'meters', ...this.readMeters(METER_INTERVAL_MS / 1000) });
+    }
+
+    /**
+     * 全ストリップの L/R レベル (dBFS、無音は null)。
+     * dt > 0 ならフィードとしてピークの減衰と RMS の積分を行い、0 なら今の瞬間値を返す
+     */
+    readMeters(dt) {
+        const result = {};
+        Object.keys(STRIP_KINDS).forEach(key => {
+            const kind = STRIP_KINDS[key];
+            result[key] = store.data[key].map(strip => {
+                const analysers = audio.isRunning ? audio.getStripAnalysers(kind, strip.id) : null;
+                const entry = { id: strip.id };
+                [['L', analysers && analysers.analyserL], ['R', analysers && analysers.analyserR]].forEach(([ch, analyser]) => {
+                    const reading = meters.measure(analyser, this.meterBuffer);
+                    let peakDb = meters.toDb(reading.truePeak);
+                    let rmsDb = meters.toDb(reading.rms);
+                    if (dt > 0) {
+                        const stateKey = `${kind}-${strip.id}-${ch}`;
+                        let state = this.meterStates.get(stateKey);
+                        if (!state) {
+                            state = new meters.MeterBallistics();
+                            this.meterStates.set(stateKey, state);
+                        }
+                        state.update(reading, dt);
+                        peakDb = state.peakDb;
+                        rmsDb = state.rmsDb;
+                    }
+                    entry[`peak${ch}`] = peakDb >= meters.MIN_DB ? round(peakDb, 1) : null;
+                    entry[`rms${ch}`] = rmsDb >= meters.MIN_DB ? round(rmsDb, 1) : null;
+                });
+                return entry;
+            });
+        });
+        return result;
+    }
+}
+
+module.exports = new RemoteControl();
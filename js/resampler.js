@@ -0,0 +1,201 @@
+// js/resampler.js
+
+// 品質ごとの補間タップ数 (中心の左右)
+const QUALITY_TAPS = {
+    linear: 1,
+    sinc: 16
+};
+const KERNEL_PHASES = 512;
+
+/**
+ * Streaming sample-rate converter for interleaved float32 PCM.
+ * 'linear' interpolates between neighbouring frames, 'sinc' uses a
+ * Blackman-windowed sinc kernel (band-limited when downsampling).
+ * `ratio` is a fine adjustment on top of inRate/outRate (1.0 = nominal).
+ */
+class Resampler {
+    constructor(channels = 2, quality = 'sinc') {
+        this.channels = channels;
+        this.quality = QUALITY_TAPS[quality] ? quality : 'sinc';
+        this.inRate = 48000;
+        this.outRate = 48000;
+        this.ratio = 1.0;
+        this.kernel = null;
+        this.reset();
+    }
+
+    setQuality(quality) {
+        if (!QUALITY_TAPS[quality] || quality === this.quality) return;
+        this.quality = quality;
+        this.reset();
+    }
+
+    setRates(inRate, outRate) {
+        if (inRate === this.inRate && outRate === this.outRate) return;
+        this.inRate = inRate;
+        this.outRate = outRate;
+        this.reset();
+    }
+
+    reset() {
+        this.taps = QUALITY_TAPS[this.quality];
+        this.left = this.taps - 1;
+        // 左側コンテキスト分の無音を履歴として持つ
+        this.history = [];
+        for (let ch = 0; ch < this.channels; ch++) this.history[ch] = new Float32Array(this.left);
+        this.pos = this.left;
+        if (this.quality === 'sinc') this.buildKernel();
+    }
+
+    buildKernel() {
+        const taps = this.taps;
+        const width = taps * 2;
+        // ダウンサンプリング時はエイリアス防止のため帯域を絞る
+        const cutoff = this.outRate < this.inRate ? (this.outRate / this.inRate) * 0.95 : 1.0;
+        this.kernel = new Float32Array((KERNEL_PHASES + 1) * width);
+
+        for (let p = 0; p <= KERNEL_PHASES; p++) {
+            const frac = p / KERNEL_PHASES;
+            let sum = 0;
+            for (let k = -(taps - 1); k <= taps; k++) {
+                const x = k - frac;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+                const w = (x + taps) / width; // 0..1
+                const blackman = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+                const h = cutoff * sinc * blackman;
+                this.kernel[p * width + k + taps - 1] = h;
+                sum += h;
+            }
+            // DCゲインを1に正規化
+            for (let j = 0; j < width; j++) this.kernel[p * width + j] /= sum;
+        }
+    }
+
+    /**
+     * @param {Float32Array} input interleaved samples (this.channels per frame)
+     * @returns {Float32Array} interleaved samples at outRate
+     */
+    process(input) {
+        const channels = this.channels;
+        const frames = Math.floor(input.length / channels);
+        const histLen = this.history[0].length;
+        const total = histLen + frames;
+
+        // 履歴 + 新規入力をチャンネル別に展開
+        const bufs = [];
+        for (let ch = 0; ch < channels; ch++) {
+            const buf = new Float32Array(total);
+            buf.set(this.history[ch], 0);
+            for (let i = 0; i < frames; i++) buf[histLen + i] = input[i * channels + ch];
+            bufs[ch] = buf;
+        }
+
+        const step = (this.inRate / this.outRate) * this.ratio;
+        const maxOut = Math.max(0, Math.ceil((total - this.taps - this.pos) / step) + 1);
+        const out = new Float32Array(maxOut * channels);
+        let count = 0;
+        let pos = this.pos;
+
+        if (this.quality === 'linear') {
+            while (Math.floor(pos) + 1 < total && count < maxOut) {
+                const i = Math.floor(pos);
+                const frac = pos - i;
+                for (let ch = 0; ch < channels; ch++) {
+                    const buf = bufs[ch];
+                    out[count * channels + ch] = buf[i] + (buf[i + 1] - buf[i]) * frac;
+                }
+                count++;
+                pos += step;
+            }
+        } else {
+            const taps = this.taps;
+            const width = taps * 2;
+            while (Math.floor(pos) + taps < total && count < maxOut) {
+                const i = Math.floor(pos);
+                const offset = Math.round((pos - i) * KERNEL_PHASES) * width;
+                const start = i - (taps - 1);
+                for (let ch = 0; ch < channels; ch++) {
+                    const buf = bufs[ch];
+                    let acc = 0;
+                    for (let j = 0; j < width; j++) acc += buf[start + j] * this.kernel[offset + j];
+                    out[count * channels + ch] = acc;
+                }
+                count++;
+                pos += step;
+            }
+        }
+
+        // 次回呼び出しに必要な左側コンテキストだけを残す
+        const keepFrom = Math.max(0, Math.min(total, Math.floor(pos) - this.left));
+        for (let ch = 0; ch < channels; ch++) this.history[ch] = bufs[ch].slice(keepFrom);
+        this.pos = pos - keepFrom;
+
+        return count === maxOut ? out : out.subarray(0, count * channels);
+    }
+}
+
+// --- Self Check ---
+// 既知の正弦波を各レートで入力し、出力側のピッチ (ゼロクロス間隔) を確認する
+function measureFrequency(samples, channels, rate) {
+    const crossings = [];
+    for (let i = 1; i < samples.length / channels; i++) {
+        const a = samples[(i - 1) * channels];
+        const b = samples[i * channels];
+        if (a < 0 && b >= 0) crossings.push(i - 1 + a / (a - b));
+    }
+    if (crossings.length < 2) return 0;
+    return (crossings.length - 1) / (crossings[crossings.length - 1] - crossings[0]) * rate;
+}
+
+function selfCheck(options = {}) {
+    const toneHz = options.toneHz || 1000;
+    const outRate = options.outRate || 48000;
+    const tolerance = options.tolerance || 0.002;
+    const results = [];
+
+    [44100, 48000, 96000].forEach(inRate => {
+        Object.keys(QUALITY_TAPS).forEach(quality => {
+            const resampler = new Resampler(2, quality);
+            resampler.setRates(inRate, outRate);
+
+            const frames = inRate; // 1秒
+            const input = new Float32Array(frames * 2);
+            for (let i = 0; i < frames; i++) {
+                const v = Math.sin(2 * Math.PI * toneHz * i / inRate) * 0.5;
+                input[i * 2] = v;
+                input[i * 2 + 1] = v;
+            }
+
+            // IPCと同様に不揃いなチャンク単位で投入する
+            const chunks = [];
+            let produced = 0;
+            for (let offset = 0, n = 0; offset < frames; n++) {
+                const size = Math.min(frames - offset, 300 + (n * 97) % 700);
+                const out = resampler.process(input.subarray(offset * 2, (offset + size) * 2));
+                chunks.push(out);
+                produced += out.length;
+                offset += size;
+            }
+            const output = new Float32Array(produced);
+            let p = 0;
+            chunks.forEach(c => { output.set(c, p); p += c.length; });
+
+            // 立ち上がりを除いた区間で測定
+            const settled = output.subarray(Math.floor(outRate * 0.05) * 2);
+            const measuredHz = measureFrequency(settled, 2, outRate);
+            const error = Math.abs(measuredHz - toneHz) / toneHz;
+            results.push({ inRate, outRate, quality, measuredHz, ok: error <= tolerance });
+        });
+    });
+    return results;
+}
+
+module.exports = { Resampler, selfCheck };
+
+if (require.main === module) {
+    const results = selfCheck();
+    results.forEach(r => {
+        console.log(`${r.ok ? 'OK  ' : 'FAIL'} ${r.quality.padEnd(6)} ${r.inRate}Hz -> ${r.outRate}Hz : ${r.measuredHz.toFixed(2)}Hz`);
+    });
+    process.exitCode = results.every(r => r.ok) ? 0 : 1;
+}
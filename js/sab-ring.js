@@ -0,0 +1,120 @@
+// js/sab-ring.js
+// SharedArrayBuffer上のロックフリー リングバッファ (Single Producer / Single Consumer)
+// Producer = IPC側 (メインスレッド), Consumer = AudioWorkletProcessor
+// このファイルは require() と audioWorklet.addModule() の両方から読み込まれる
+
+// state (Int32Array) のインデックス
+const STATE_WRITE = 0;     // Producerのみ更新
+const STATE_READ = 1;      // Consumerのみ更新
+const STATE_UNDERRUNS = 2; // Consumerのみ更新
+const STATE_DISCARD = 3;   // Producer -> Consumer: 残すフレーム数を指定して古いデータを破棄 (-1 = 要求なし)
+const STATE_TARGET = 4;    // Producer -> Consumer: Underrun後に再生を再開するフレーム数
+const STATE_LENGTH = 5;
+
+class SabRingBuffer {
+    /**
+     * @param {number} capacity frames (one slot is kept empty)
+     * @param {number} channels
+     */
+    static create(capacity, channels) {
+        const stateBuffer = new SharedArrayBuffer(STATE_LENGTH * Int32Array.BYTES_PER_ELEMENT);
+        const dataBuffer = new SharedArrayBuffer(capacity * channels * Float32Array.BYTES_PER_ELEMENT);
+        const ring = new SabRingBuffer({ stateBuffer, dataBuffer, channels });
+        Atomics.store(ring.state, STATE_DISCARD, -1);
+        return ring;
+    }
+
+    // shared: create() で作った { stateBuffer, dataBuffer, channels } (processorOptions で受け渡す)
+    constructor(shared) {
+        this.shared = shared;
+        this.channels = shared.channels;
+        this.state = new Int32Array(shared.stateBuffer);
+        this.data = new Float32Array(shared.dataBuffer);
+        this.capacity = this.data.length / this.channels;
+    }
+
+    availableRead() {
+        const w = Atomics.load(this.state, STATE_WRITE);
+        const r = Atomics.load(this.state, STATE_READ);
+        return (w - r + this.capacity) % this.capacity;
+    }
+
+    availableWrite() {
+        return this.capacity - 1 - this.availableRead();
+    }
+
+    // --- Producer ---
+
+    // 戻り値: 書き込めたフレーム数 (空きが足りない分は破棄)
+    write(interleaved) {
+        const channels = this.channels;
+        const frames = Math.min(Math.floor(interleaved.length / channels), this.availableWrite());
+        let w = Atomics.load(this.state, STATE_WRITE);
+
+        const first = Math.min(frames, this.capacity - w);
+        this.data.set(interleaved.subarray(0, first * channels), w * channels);
+        if (frames > first) this.data.set(interleaved.subarray(first * channels, frames * channels), 0);
+
+        w = (w + frames) % this.capacity;
+        Atomics.store(this.state, STATE_WRITE, w);
+        return frames;
+    }
+
+    requestDiscard(keepFrames) {
+        Atomics.store(this.state, STATE_DISCARD, Math.max(0, keepFrames));
+    }
+
+    setTarget(frames) {
+        Atomics.store(this.state, STATE_TARGET, Math.max(0, Math.floor(frames)));
+    }
+
+    get underruns() {
+        return Atomics.load(this.state, STATE_UNDERRUNS);
+    }
+
+    // --- Consumer ---
+
+    get target() {
+        return Atomics.load(this.state, STATE_TARGET);
+    }
+
+    // Producerからの破棄要求を処理する
+    applyDiscard() {
+        const keep = Atomics.exchange(this.state, STATE_DISCARD, -1);
+        if (keep < 0) return false;
+        const available = this.availableRead();
+        if (available > keep) {
+            const r = Atomics.load(this.state, STATE_READ);
+            Atomics.store(this.state, STATE_READ, (r + available - keep) % this.capacity);
+        }
+        return true;
+    }
+
+    // outputs: チャンネル別の Float32Array。戻り値: 読み出したフレーム数
+    read(outputs, frames) {
+        const channels = this.channels;
+        const count = Math.min(frames, this.availableRead());
+        let r = Atomics.load(this.state, STATE_READ);
+
+        for (let i = 0; i < count; i++) {
+            const base = r * channels;
+            for (let ch = 0; ch < outputs.length; ch++) {
+                outputs[ch][i] = this.data[base + (ch < channels ? ch : channels - 1)];
+            }
+            r++;
+            if (r === this.capacity) r = 0;
+        }
+        Atomics.store(this.state, STATE_READ, r);
+        return count;
+    }
+
+    countUnderrun() {
+        Atomics.add(this.state, STATE_UNDERRUNS, 1);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SabRingBuffer;
+} else {
+    globalThis.SabRingBuffer = SabRingBuffer;
+}
@@ -0,0 +1,445 @@
+// js/schema.js
+// 設定データ (localStorage / エクスポートファイル) のバージョン管理・移行・検証
+const eq = require('./eq');
+const compressor = require('./compressor');
+const inputChain = require('./input-chain');
+const sends = require('./sends');
+const stereo = require('./stereo');
+const channels = require('./channels');
+
+/**
+ * 設定として読み込めないデータ (JSONでない、新しすぎるバージョン等)
+ */
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+const DEFAULT_COMPRESSOR = { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 };
+const EQ_BANDS = 10;
+const RESAMPLER_QUALITIES = ['linear', 'sinc'];
+const RECORD_BIT_DEPTHS = [16, 24, 32];
+const OUTPUT_TYPES = ['device', 'link'];
+
+// 入力/Direct/出力リストは本体とシーンのスナップショットの両方にある (key: 'inputs' | 'directs' | 'outputs')
+function forEachList(data, key, fn) {
+    if (Array.isArray(data[key])) fn(data[key]);
+    if (Array.isArray(data.scenes)) {
+        data.scenes.forEach(scene => {
+            if (scene && scene.snapshot && Array.isArray(scene.snapshot[key])) fn(scene.snapshot[key]);
+        });
+    }
+}
+
+// --- Migrations ---
+// MIGRATIONS[n] は version n -> n+1 の変換。schemaVersion が無いデータは version 0 (バージョン管理導入前)
+const MIGRATIONS = [
+    // 0 -> 1: 単一入力 (hardwareGain/inputDeviceId/hardwareRouting) を inputs[] へ
+    (data) => {
+        if (!data.inputs) {
+            data.inputs = [data.hardwareGain !== undefined ? {
+                id: 1,
+                deviceId: data.inputDeviceId || 'default',
+                volume: data.hardwareGain || 1.0,
+                isMuted: false,
+                routing: Array.from(new Set(data.hardwareRouting || []))
+            } : { id: 1, deviceId: 'default', volume: 1.0, isMuted: false, routing: [] }];
+        }
+        delete data.hardwareGain;
+        delete data.inputDeviceId;
+        delete data.hardwareRouting;
+    },
+    // 1 -> 2: 単一のUX MUSICストリップ (directGain/directMuted/directRouting) を directs[] のスロット1へ
+    (data) => {
+        if (!data.directs) {
+            data.directs = [{
+                id: 1,
+                volume: data.directGain !== undefined ? data.directGain : 1.0,
+                isMuted: !!data.directMuted,
+                routing: data.directRouting || []
+            }];
+        }
+        delete data.directGain;
+        delete data.directMuted;
+        delete data.directRouting;
+    },
+    // 2 -> 3: 出力エフェクトの追加 (delayMs/compressor) と 10-Band Graphic EQ への移行
+    (data) => {
+        forEachList(data, 'outputs', outputs => outputs.forEach(out => {
+            if (!out || typeof out !== 'object') return;
+            if (out.delayMs === undefined) out.delayMs = 0;
+            if (!out.compressor) out.compressor = { ...DEFAULT_COMPRESSOR };
+            // 旧EQは構造が全く違うため、変換せずフラットにする
+            if (!Array.isArray(out.eqGains) || out.eqGains.length !== EQ_BANDS) out.eqGains = new Array(EQ_BANDS).fill(0);
+        }));
+    },
+    // 3 -> 4: 10-Band のゲイン配列 (eqGains) を EQモデル (eq.mode/eq.bands) のグラフィックモードへ
+    (data) => {
+        forEachList(data, 'outputs', outputs => outputs.forEach(out => {
+            if (!out || typeof out !== 'object') return;
+            if (!out.eq) out.eq = { mode: 'graphic', bands: eq.graphicBands(Array.isArray(out.eqGains) ? out.eqGains : []) };
+            delete out.eqGains;
+        }));
+    },
+    // 4 -> 5: コンプレッサーにニーとメイクアップゲインを追加 (従来はノードの既定値 knee 30dB のまま)
+    (data) => {
+        forEachList(data, 'outputs', outputs => outputs.forEach(out => {
+            if (!out || typeof out !== 'object' || !out.compressor || typeof out.compressor !== 'object') return;
+            if (out.compressor.knee === undefined) out.compressor.knee = 30;
+            if (out.compressor.makeup === undefined) out.compressor.makeup = 0;
+        }));
+    },
+    // 5 -> 6: 入力ごとの処理 (極性/HPF/ゲート/3バンドEQ) を追加
+    (data) => {
+        forEachList(data, 'inputs', inputs => inputs.forEach(inp => {
+            if (inp && typeof inp === 'object' && !inp.processing) inp.processing = inputChain.createProcessing();
+        }));
+    },
+    // 6 -> 7: ON/OFFのルーティング (routing: [outputId]) を出力ごとのセンド (sends) へ。従来どおりポストフェーダー・0dB
+    (data) => {
+        ['inputs', 'directs'].forEach(key => forEachList(data, key, list => list.forEach(source => {
+            if (!source || typeof source !== 'object') return;
+            if (!source.sends) {
+                source.sends = Array.isArray(source.routing) ? source.routing.map(id => sends.createSend(id)) : [];
+            }
+            delete source.routing;
+        })));
+    },
+    // 7 -> 8: 入力/出力ストリップにステレオ処理 (pan/幅/モノラル/入れ替え/極性) を追加
+    (data) => {
+        ['inputs', 'outputs'].forEach(key => forEachList(data, key, list => list.forEach(strip => {
+            if (strip && typeof strip === 'object' && !strip.stereo) strip.stereo = stereo.createStereo();
+        })));
+    },
+    // 8 -> 9: マルチチャンネルデバイスのch選択を追加 (従来は常に先頭2ch)
+    (data) => {
+        ['inputs', 'outputs'].forEach(key => forEachList(data, key, list => list.forEach(strip => {
+            if (strip && typeof strip === 'object' && !strip.channels) strip.channels = channels.createChannels();
+        })));
+    },
+    // 9 -> 10: 出力の種類 (サウンドカード / Direct Link 送信) を追加
+    (data) => {
+        forEachList(data, 'outputs', outputs => outputs.forEach(out => {
+            if (!out || typeof out !== 'object') return;
+            if (out.type === undefined) out.type = 'device';
+            if (out.linkPath === undefined) out.linkPath = '';
+        }));
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+// --- Validation ---
+// 修復できる値は既定値/範囲内に直して warnings に記録する
+
+function toNumber(value, fallback, min, max) {
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+class Validator {
+    constructor() {
+        this.warnings = [];
+    }
+
+    warn(path, message) {
+        this.warnings.push(`${path}: ${message}`);
+    }
+
+    number(obj, key, fallback, min, max, path) {
+        const value = toNumber(obj[key], fallback, min, max);
+        if (obj[key] !== undefined && value !== obj[key]) this.warn(`${path}.${key}`, `replaced ${JSON.stringify(obj[key])} with ${value}`);
+        return value;
+    }
+
+    // id が正の整数で重複しない要素だけを残す
+    list(value, path, fn) {
+        if (!Array.isArray(value)) {
+            if (value !== undefined) this.warn(path, 'not an array, reset');
+            return [];
+        }
+        const ids = new Set();
+        const result = [];
+        value.forEach((item, i) => {
+            if (!item || typeof item !== 'object' || !Number.isInteger(item.id) || item.id < 1 || ids.has(item.id)) {
+                this.warn(`${path}[${i}]`, 'invalid or duplicate entry, dropped');
+                return;
+            }
+            ids.add(item.id);
+            result.push(fn(item, `${path}[${i}]`));
+        });
+        return result.sort((a, b) => a.id - b.id);
+    }
+
+    sends(value, outputIds, path) {
+        if (!Array.isArray(value)) return [];
+        const seen = new Set();
+        const result = [];
+        value.forEach((send, i) => {
+            if (!send || typeof send !== 'object' || !outputIds.has(send.outputId) || seen.has(send.outputId)) {
+                this.warn(`${path}.sends[${i}]`, 'unknown or duplicate output, dropped');
+                return;
+            }
+            seen.add(send.outputId);
+            result.push({
+                outputId: send.outputId,
+                level: this.number(send, 'level', 1.0, sends.LIMITS.level.min, sends.LIMITS.level.max, `${path}.sends[${i}]`),
+                preFader: !!send.preFader
+            });
+        });
+        return result;
+    }
+
+    inputs(value, outputIds, path) {
+        return this.list(value, path, (inp, p) => ({
+            id: inp.id,
+            deviceId: typeof inp.deviceId === 'string' ? inp.deviceId : 'default',
+            volume: this.number(inp, 'volume', 1.0, 0, 1.5, p),
+            isMuted: !!inp.isMuted,
+            sends: this.sends(inp.sends, outputIds, p),
+            processing: this.inputProcessing(inp.processing, `${p}.processing`),
+            stereo: this.stereo(inp.stereo, `${p}.stereo`),
+            channels: this.channels(inp.channels, `${p}.channels`)
+        }));
+    }
+
+    // 0始まりのch番号 1つ または 2つ
+    channels(value, path) {
+        const valid = Array.isArray(value) && value.length >= 1 && value.length <= 2 &&
+            value.every(c => Number.isInteger(c) && c >= 0 && c < channels.MAX_CHANNELS);
+        if (valid) return value.slice();
+        if (value !== undefined) this.warn(path, 'reset');
+        return channels.createChannels();
+    }
+
+    stereo(value, path) {
+        const src = value && typeof value === 'object' ? value : {};
+        if (value !== undefined && src !== value) this.warn(path, 'reset');
+        return {
+            pan: this.number(src, 'pan', 0, stereo.LIMITS.pan.min, stereo.LIMITS.pan.max, path),
+            width: this.number(src, 'width', 1, stereo.LIMITS.width.min, stereo.LIMITS.width.max, path),
+            mono: !!src.mono,
+            swap: !!src.swap,
+            invertL: !!src.invertL,
+            invertR: !!src.invertR
+        };
+    }
+
+    inputProcessing(value, path) {
+        const src = value && typeof value === 'object' ? value : {};
+        if (value !== undefined && src !== value) this.warn(path, 'reset');
+        const result = { polarity: !!src.polarity };
+        ['hpf', 'gate', 'eq'].forEach(section => {
+            const values = src[section] && typeof src[section] === 'object' ? src[section] : {};
+            const limits = inputChain.LIMITS[section];
+            result[section] = {};
+            if (inputChain.DEFAULTS[section].enabled !== undefined) result[section].enabled = !!values.enabled;
+            Object.keys(limits).forEach(key => {
+                result[section][key] = this.number(values, key, inputChain.DEFAULTS[section][key], limits[key].min, limits[key].max, `${path}.${section}`);
+            });
+        });
+        return result;
+    }
+
+    directs(value, outputIds, path) {
+        return this.list(value, path, (dir, p) => ({
+            id: dir.id,
+            volume: this.number(dir, 'volume', 1.0, 0, 1.5, p),
+            isMuted: !!dir.isMuted,
+            sends: this.sends(dir.sends, outputIds, p)
+        }));
+    }
+
+    outputs(value, path) {
+        return this.list(value, path, (out, p) => {
+            const comp = out.compressor && typeof out.compressor === 'object' ? out.compressor : {};
+            if (out.compressor !== undefined && comp !== out.compressor) this.warn(`${p}.compressor`, 'reset');
+            let type = out.type;
+            if (!OUTPUT_TYPES.includes(type)) {
+                this.warn(`${p}.type`, 'reset to device');
+                type = 'device';
+            }
+            return {
+                id: out.id,
+                type: type,
+                selectedDeviceId: typeof out.selectedDeviceId === 'string' ? out.selectedDeviceId : '',
+                linkPath: typeof out.linkPath === 'string' ? out.linkPath : '',
+                volume: this.number(out, 'volume', 1.0, 0, 1.5, p),
+                isMuted: !!out.isMuted,
+                delayMs: this.number(out, 'delayMs', 0, 0, 1000, p),
+                compressor: this.compressor(comp, `${p}.compressor`),
+                eq: this.eq(out.eq, `${p}.eq`),
+                stereo: this.stereo(out.stereo, `${p}.stereo`),
+                channels: this.channels(out.channels, `${p}.channels`)
+            };
+        });
+    }
+
+    compressor(comp, path) {
+        const result = { enabled: !!comp.enabled };
+        Object.keys(compressor.LIMITS).forEach(key => {
+            const limit = compressor.LIMITS[key];
+            result[key] = this.number(comp, key, compressor.DEFAULTS[key], limit.min, limit.max, path);
+        });
+        return result;
+    }
+
+    eq(value, path) {
+        if (!value || typeof value !== 'object') {
+            if (value !== undefined) this.warn(path, 'reset to flat');
+            return eq.createEq();
+        }
+        const mode = value.mode === 'parametric' ? 'parametric' : 'graphic';
+        if (value.mode !== mode) this.warn(`${path}.mode`, `replaced ${JSON.stringify(value.mode)} with "${mode}"`);
+
+        let bands = [];
+        if (Array.isArray(value.bands)) {
+            value.bands.forEach((band, i) => {
+                if (!band || typeof band !== 'object' || !eq.BAND_TYPES.includes(band.type)) {
+                    this.warn(`${path}.bands[${i}]`, 'invalid band, dropped');
+                    return;
+                }
+                const p = `${path}.bands[${i}]`;
+                bands.push({
+                    type: band.type,
+                    frequency: this.number(band, 'frequency', 1000, eq.LIMITS.frequency.min, eq.LIMITS.frequency.max, p),
+                    q: this.number(band, 'q', 1.0, eq.LIMITS.q.min, eq.LIMITS.q.max, p),
+                    gain: this.number(band, 'gain', 0, eq.LIMITS.gain.min, eq.LIMITS.gain.max, p)
+                });
+            });
+        }
+        if (bands.length > eq.MAX_BANDS) {
+            this.warn(`${path}.bands`, `truncated to ${eq.MAX_BANDS} bands`);
+            bands = bands.slice(0, eq.MAX_BANDS);
+        }
+        if (mode === 'graphic' && !eq.isGraphicLayout(bands)) {
+            this.warn(`${path}.bands`, 'graphic layout reset to flat');
+            bands = eq.graphicBands();
+        }
+        return { mode: mode, bands: bands };
+    }
+
+    // 入力/Direct/出力のセット (本体とシーンのスナップショットで共通)
+    mixer(src, path) {
+        const outputs = this.outputs(src.outputs, `${path}outputs`);
+        const outputIds = new Set(outputs.map(o => o.id));
+        return {
+            inputs: this.inputs(src.inputs, outputIds, `${path}inputs`),
+            directs: this.directs(src.directs, outputIds, `${path}directs`),
+            directBuffer: this.number(src, 'directBuffer', 0.02, 0.005, 0.5, path ? path.slice(0, -1) : 'config'),
+            outputs: outputs
+        };
+    }
+
+    config(src) {
+        const mixer = this.mixer(src, '');
+        const link = src.directLink && typeof src.directLink === 'object' ? src.directLink : {};
+        const port = Number.isInteger(link.tcpPort) && link.tcpPort >= 1 && link.tcpPort <= 65535 ? link.tcpPort : 47810;
+        if (link.tcpPort !== undefined && port !== link.tcpPort) this.warn('directLink.tcpPort', 'reset');
+
+        let resamplerQuality = src.resamplerQuality;
+        if (!RESAMPLER_QUALITIES.includes(resamplerQuality)) {
+            if (resamplerQuality !== undefined) this.warn('resamplerQuality', 'reset');
+            resamplerQuality = 'sinc';
+        }
+
+        const recorder = src.recorder && typeof src.recorder === 'object' ? src.recorder : {};
+        let bitDepth = recorder.bitDepth;
+        if (!RECORD_BIT_DEPTHS.includes(bitDepth)) {
+            if (bitDepth !== undefined) this.warn('recorder.bitDepth', 'reset');
+            bitDepth = 24;
+        }
+
+        const remote = src.remoteControl && typeof src.remoteControl === 'object' ? src.remoteControl : {};
+        const remotePort = Number.isInteger(remote.port) && remote.port >= 1 && remote.port <= 65535 ? remote.port : 47811;
+        if (remote.port !== undefined && remotePort !== remote.port) this.warn('remoteControl.port', 'reset');
+
+        const osc = src.osc && typeof src.osc === 'object' ? src.osc : {};
+        const oscPort = Number.isInteger(osc.port) && osc.port >= 1 && osc.port <= 65535 ? osc.port : 9000;
+        if (osc.port !== undefined && oscPort !== osc.port) this.warn('osc.port', 'reset');
+        const feedbackPort = Number.isInteger(osc.feedbackPort) && osc.feedbackPort >= 0 && osc.feedbackPort <= 65535 ? osc.feedbackPort : 0;
+        if (osc.feedbackPort !== undefined && feedbackPort !== osc.feedbackPort) this.warn('osc.feedbackPort', 'reset');
+
+        const scenes = this.list(src.scenes, 'scenes', (scene, p) => ({
+            id: scene.id,
+            name: typeof scene.name === 'string' && scene.name ? scene.name : `Scene ${scene.id}`,
+            snapshot: this.mixer(scene.snapshot && typeof scene.snapshot === 'object' ? scene.snapshot : {}, `${p}.snapshot.`)
+        }));
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            inputs: mixer.inputs,
+            directs: mixer.directs,
+            directBuffer: mixer.directBuffer,
+            resamplerQuality: resamplerQuality,
+            directLink: {
+                tcpEnabled: !!link.tcpEnabled,
+                tcpHost: typeof link.tcpHost === 'string' && link.tcpHost ? link.tcpHost : '127.0.0.1',
+                tcpPort: port,
+                token: typeof link.token === 'string' ? link.token : ''
+            },
+            recorder: {
+                folder: typeof recorder.folder === 'string' ? recorder.folder : '',
+                bitDepth: bitDepth,
+                splitSizeMB: Math.round(this.number(recorder, 'splitSizeMB', 0, 0, 4000, 'recorder'))
+            },
+            remoteControl: {
+                enabled: !!remote.enabled,
+                port: remotePort,
+                token: typeof remote.token === 'string' ? remote.token : ''
+            },
+            osc: {
+                enabled: !!osc.enabled,
+                host: typeof osc.host === 'string' && osc.host ? osc.host : '127.0.0.1',
+                port: oscPort,
+                feedbackPort: feedbackPort,
+                token: typeof osc.token === 'string' ? osc.token : ''
+            },
+            scenes: scenes,
+            sceneFade: this.number(src, 'sceneFade', 1.0, 0, 10, 'config'),
+            outputs: mixer.outputs
+        };
+    }
+}
+
+/**
+ * 任意のバージョンの設定を現行バージョンへ移行し、検証・修復する。
+ * @param {*} raw JSON.parse 済みの設定
+ * @returns {{data: object, warnings: string[]}}
+ * @throws {ConfigError} 設定として扱えない場合
+ */
+function normalize(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new ConfigError('Config must be a JSON object.');
+    const version = raw.schemaVersion === undefined ? 0 : raw.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) throw new ConfigError(`Invalid schemaVersion: ${raw.schemaVersion}`);
+    if (version > SCHEMA_VERSION) {
+        throw new ConfigError(`Config schema v${version} is newer than this app supports (v${SCHEMA_VERSION}).`);
+    }
+
+    const data = JSON.parse(JSON.stringify(raw));
+    for (let v = version; v < SCHEMA_VERSION; v++) MIGRATIONS[v](data);
+
+    const validator = new Validator();
+    return { data: validator.config(data), warnings: validator.warnings };
+}
+
+/**
+ * 出力1つ分のEQ/コンプレッサー設定 (リモートAPI等から受け取った値) を検証・修復する。
+ * @returns {{data: object, warnings: string[]}}
+ */
+function normalizeEq(raw) {
+    const validator = new Validator();
+    return { data: validator.eq(raw, 'eq'), warnings: validator.warnings };
+}
+
+function normalizeCompressor(raw) {
+    const validator = new Validator();
+    const comp = raw && typeof raw === 'object' ? raw : {};
+    if (comp !== raw) validator.warn('compressor', 'reset');
+    return { data: validator.compressor(comp, 'compressor'), warnings: validator.warnings };
+}
+
+module.exports = { SCHEMA_VERSION, ConfigError, normalize, normalizeEq, normalizeCompressor };
@@ -0,0 +1,37 @@
+// js/sends.js
+// ソース (入力/Direct) から出力へのセンドのデータモデル
+// source.sends = [{ outputId, level, preFader }]
+// level はリニアゲイン (フェーダーと同じ 0〜1.5)、preFader はソースのフェーダーを通さずに送る
+
+const LIMITS = {
+    level: { min: 0, max: 1.5 }
+};
+
+// ルートボタンのドラッグで扱う範囲 (これより下は -Inf)
+const MIN_DB = -60;
+
+function createSend(outputId) {
+    return { outputId: outputId, level: 1.0, preFader: false };
+}
+
+function findSend(source, outputId) {
+    return source.sends.find(s => s.outputId === outputId);
+}
+
+// 出力へ実際に掛かるゲイン (ミュートはプリフェーダーのセンドにも効く)
+function sendGain(source, outputId) {
+    const send = findSend(source, outputId);
+    if (!send || source.isMuted) return 0;
+    return send.level * (send.preFader ? 1 : source.volume);
+}
+
+function levelToDb(level) {
+    return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+function dbToLevel(db) {
+    if (db <= MIN_DB) return 0;
+    return Math.min(LIMITS.level.max, Math.pow(10, db / 20));
+}
+
+module.exports = { LIMITS, MIN_DB, createSend, findSend, sendGain, levelToDb, dbToLevel };
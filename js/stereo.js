@@ -0,0 +1,50 @@
+// js/stereo.js
+// 入力/出力ストリップのステレオ処理のデータモデル
+// strip.stereo = { pan, width, mono, swap, invertL, invertR }
+// pan: -1 (L) 〜 1 (R) のバランス、width: 0 (モノラル) 〜 1 (そのまま) 〜 2 (広げる)
+
+const DEFAULTS = { pan: 0, width: 1, mono: false, swap: false, invertL: false, invertR: false };
+
+const LIMITS = {
+    pan: { min: -1, max: 1 },
+    width: { min: 0, max: 2 }
+};
+
+function createStereo() {
+    return { ...DEFAULTS };
+}
+
+function isActive(stereo) {
+    return Object.keys(DEFAULTS).some(key => stereo[key] !== DEFAULTS[key]);
+}
+
+/**
+ * 設定を 2x2 のゲイン行列にまとめる (L' = ll*L + lr*R, R' = rl*L + rr*R)
+ * 処理順: 極性反転 -> L/R入れ替え -> 幅 (M/S、モノラルは幅0) -> バランス
+ * @returns {{ll: number, lr: number, rl: number, rr: number}}
+ */
+function matrix(stereo) {
+    const polL = stereo.invertL ? -1 : 1;
+    const polR = stereo.invertR ? -1 : 1;
+    // 入れ替え後の各chがどの入力chから来るか
+    let m = stereo.swap
+        ? { ll: 0, lr: polR, rl: polL, rr: 0 }
+        : { ll: polL, lr: 0, rl: 0, rr: polR };
+
+    const width = stereo.mono ? 0 : stereo.width;
+    const same = (1 + width) / 2;
+    const cross = (1 - width) / 2;
+    m = {
+        ll: same * m.ll + cross * m.rl,
+        lr: same * m.lr + cross * m.rr,
+        rl: cross * m.ll + same * m.rl,
+        rr: cross * m.lr + same * m.rr
+    };
+
+    // 反対側だけを等パワーカーブで下げる (センターでは両ch 0dB)
+    const gainL = stereo.pan > 0 ? Math.cos(stereo.pan * Math.PI / 2) : 1;
+    const gainR = stereo.pan < 0 ? Math.cos(-stereo.pan * Math.PI / 2) : 1;
+    return { ll: m.ll * gainL, lr: m.lr * gainL, rl: m.rl * gainR, rr: m.rr * gainR };
+}
+
+module.exports = { DEFAULTS, LIMITS, createStereo, isActive, matrix };
@@ -1,168 +1,498 @@
 // js/store.js
 const EventEmitter = require('events');
+const schema = require('./schema');
+const eq = require('./eq');
+const compressor = require('./compressor');
+const inputChain = require('./input-chain');
+const sends = require('./sends');
+const stereo = require('./stereo');
+const channels = require('./channels');
+
+// Undo できる最大ステップ数
+const HISTORY_LIMIT = 100;
+const SETTINGS_KEY = 'uxAudioRouterSettings';
+// 読み込みを拒否した設定 (新しいバージョンで保存された等) の退避先
+const REJECTED_SETTINGS_KEY = 'uxAudioRouterSettings.rejected';
+// フェーダーの最大値 (+3.5dB)
+const MAX_VOLUME = 1.5;
 
 class Store extends EventEmitter {
     constructor() {
         super();
         this.data = {
             inputs: [],
-            directGain: 1.0,
-            directMuted: false,
-            directRouting: [],
-            directBuffer: 0.1,
-            outputs: []
+            // UX Direct Audio Link の受信スロット (Senderごとに1つ)
+            directs: [],
+            directBuffer: 0.02,
+            // Direct Link のサンプルレート変換品質 ('linear' | 'sinc')
+            resamplerQuality: 'sinc',
+            // ループバックTCPトランスポート (サンドボックス/コンテナ/WSL向け)
+            directLink: { tcpEnabled: false, tcpHost: '127.0.0.1', tcpPort: 47810, token: '' },
+            // WAV録音 (folder が空なら既定のフォルダー、splitSizeMB: 0 は分割しない)
+            recorder: { folder: '', bitDepth: 24, splitSizeMB: 0 },
+            // リモートコントロール API (127.0.0.1 の HTTP/WebSocket、token が空なら認証なし)
+            remoteControl: { enabled: false, port: 47811, token: '' },
+            // OSC (UDP) のコントロールサーフェス (feedbackPort: 0 なら送信元のポートへ送り返す)
+            osc: { enabled: false, host: '127.0.0.1', port: 9000, feedbackPort: 0, token: '' },
+            outputs: [],
+            // 名前付きシーン: { id, name, snapshot: { inputs, directs, directBuffer, outputs } }
+            scenes: [],
+            // シーン呼び出し時のクロスフェード時間 (秒)
+            sceneFade: 1.0
         };
         
-        this.hardwareRoutingSet = new Set();
-        this.directRoutingSet = new Set();
         this.inputIdCounter = 1;
         this.outputIdCounter = 1;
-        
-        // 10バンドEQの中心周波数 (固定)
-        this.eqFrequencies = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+        // Undo/Redo 用のスナップショット (captureScene() 形式)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyMergeKey = null;
+        this.historyDepth = 0;
+
+        // 保存済みの設定を拒否した理由 (UIで通知する。読み込めた場合は null)
+        this.loadError = null;
+        this.isSaveSuspended = false;
     }
 
     load() {
+        const json = localStorage.getItem(SETTINGS_KEY);
+        if (!json) {
+            this.createDefaults();
+            this.clearHistory();
+            return;
+        }
         try {
-            const saved = JSON.parse(localStorage.getItem('uxAudioRouterSettings'));
-            if (saved) {
-                if (saved.inputs) {
-                    this.data.inputs = saved.inputs;
-                    if (this.data.inputs.length > 0) this.inputIdCounter = Math.max(...this.data.inputs.map(i => i.id)) + 1;
-                } else if (saved.hardwareGain !== undefined) {
-                     const oldRouting = new Set(saved.hardwareRouting || []);
-                     this.data.inputs = [{
-                        id: 1, deviceId: saved.inputDeviceId || 'default', volume: saved.hardwareGain || 1.0, isMuted: false, routing: Array.from(oldRouting)
-                     }];
-                     this.inputIdCounter = 2;
-                } else {
-                    this.addInput();
-                }
-
-                if (saved.directGain !== undefined) this.data.directGain = saved.directGain;
-                if (saved.directMuted !== undefined) this.data.directMuted = saved.directMuted;
-                if (saved.directBuffer !== undefined) this.data.directBuffer = saved.directBuffer;
-                
-                this.directRoutingSet = new Set(saved.directRouting || []);
-
-                this.data.outputs = saved.outputs || [];
-                
-                // ★追加: データ移行 (10-Band Graphic EQへ)
-                if (this.data.outputs) {
-                    this.data.outputs.forEach(out => {
-                        if (out.delayMs === undefined) out.delayMs = 0;
-                        if (!out.compressor) {
-                            out.compressor = { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 };
-                        }
-
-                        // 古いEQデータがある場合はリセットして10バンド配列を作成
-                        // (構造が全く違うため、下手に変換するよりフラットにする方が安全)
-                        if (!out.eqGains || out.eqGains.length !== 10) {
-                            out.eqGains = new Array(10).fill(0); // [0,0,0,0,0,0,0,0,0,0]
-                        }
-                    });
-                    if (this.data.outputs.length > 0) {
-                        this.outputIdCounter = Math.max(...this.data.outputs.map(o => o.id)) + 1;
-                    }
-                } else {
-                    this.addOutput();
-                }
-            } else {
-                this.addInput();
-                this.addOutput();
-                this.toggleRouting('hardware', 1, 1);
-                this.toggleRouting('direct', null, 1);
-            }
+            this.applyConfig(JSON.parse(json));
         } catch (e) {
-            console.error("Settings load error:", e);
-            this.addInput();
-            this.addOutput();
+            // 壊れた設定や新しいバージョンで保存された設定は既定の構成で上書きせず退避し、既定の構成はメモリ上だけで使う
+            console.error('Settings rejected:', e);
+            localStorage.setItem(REJECTED_SETTINGS_KEY, json);
+            this.loadError = e instanceof SyntaxError ? `Settings are not valid JSON (${e.message})` : e.message;
+            this.isSaveSuspended = true;
+            this.createDefaults();
+            this.isSaveSuspended = false;
+            this.clearHistory();
+            return;
         }
+        if (this.data.directs.length === 0) this.addDirect();
+        this.clearHistory();
     }
 
-    save() {
-        const saveData = {
+    // 設定が無い場合の初期構成 (入力1・Direct1・出力1を接続)
+    createDefaults() {
+        this.addInput();
+        this.addDirect();
+        this.addOutput();
+        this.toggleRouting('hardware', 1, 1);
+        this.toggleRouting('direct', 1, 1);
+    }
+
+    // 旧バージョンの設定は schema.js で現行形式へ移行・修復してから取り込む
+    applyConfig(raw) {
+        const { data, warnings } = schema.normalize(raw);
+        warnings.forEach(w => console.warn(`Settings repaired - ${w}`));
+        delete data.schemaVersion;
+        this.data = { ...this.data, ...data };
+        if (this.data.inputs.length > 0) this.inputIdCounter = Math.max(...this.data.inputs.map(i => i.id)) + 1;
+        if (this.data.outputs.length > 0) this.outputIdCounter = Math.max(...this.data.outputs.map(o => o.id)) + 1;
+        return warnings;
+    }
+
+    serialize() {
+        return {
+            schemaVersion: schema.SCHEMA_VERSION,
             inputs: this.data.inputs,
-            directGain: this.data.directGain,
-            directMuted: this.data.directMuted,
-            directRouting: Array.from(this.directRoutingSet),
+            directs: this.data.directs,
             directBuffer: this.data.directBuffer,
-            outputs: this.data.outputs.map(out => ({ 
-                ...out, 
-                // 保存するのはGain配列のみ
-                eqGains: out.eqGains
-            }))
+            resamplerQuality: this.data.resamplerQuality,
+            directLink: this.data.directLink,
+            recorder: this.data.recorder,
+            remoteControl: this.data.remoteControl,
+            osc: this.data.osc,
+            scenes: this.data.scenes,
+            sceneFade: this.data.sceneFade,
+            outputs: this.data.outputs
         };
-        localStorage.setItem('uxAudioRouterSettings', JSON.stringify(saveData));
+    }
+
+    save() {
+        if (this.isSaveSuspended) return;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.serialize()));
+        this.emit('saved');
+    }
+
+    // --- Export / Import ---
+    exportConfig() {
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    /**
+     * エクスポートファイルの内容で設定全体を置き換える。
+     * keepDirectIds: 接続中のSenderが使っているスロット (ファイルに無くても残す)
+     * @throws {SyntaxError|ConfigError} 読み込めない場合は現在の設定を変更しない
+     * @returns {string[]} 修復した項目
+     */
+    importConfig(json, keepDirectIds = []) {
+        const keptDirects = this.data.directs.filter(d => keepDirectIds.includes(d.id));
+        const warnings = this.applyConfig(JSON.parse(json));
+        const outputIds = new Set(this.data.outputs.map(o => o.id));
+        keptDirects.forEach(dir => {
+            if (this.data.directs.some(d => d.id === dir.id)) return;
+            dir.sends = dir.sends.filter(s => outputIds.has(s.outputId));
+            this.data.directs.push(dir);
+        });
+        this.data.directs.sort((a, b) => a.id - b.id);
+        if (this.data.directs.length === 0) this.addDirect();
+        // 設定全体の置き換えは元に戻せないため履歴を破棄する
+        this.clearHistory();
+
+        this.save();
+        this.emit('config-imported');
+        return warnings;
     }
 
     // --- Input Management ---
     addInput() {
+        this.checkpoint();
         const id = this.getAvailableId(this.data.inputs);
-        this.data.inputs.push({ id: id, deviceId: 'default', volume: 1.0, isMuted: false, routing: [] });
+        this.data.inputs.push({
+            id: id, deviceId: 'default', volume: 1.0, isMuted: false, sends: [],
+            processing: inputChain.createProcessing(),
+            stereo: stereo.createStereo(),
+            channels: channels.createChannels()
+        });
         this.data.inputs.sort((a, b) => a.id - b.id);
         this.save();
+        this.emit('routing-changed');
         return id;
     }
 
     removeInput(id) {
         const idx = this.data.inputs.findIndex(i => i.id === id);
         if (idx !== -1) {
+            this.checkpoint();
             this.data.inputs.splice(idx, 1);
             this.save();
+            this.emit('routing-changed');
+        }
+    }
+
+    // --- Direct Link Slot Management ---
+    addDirect() {
+        const id = this.getAvailableId(this.data.directs);
+        this.data.directs.push({ id: id, volume: 1.0, isMuted: false, sends: [] });
+        this.data.directs.sort((a, b) => a.id - b.id);
+        this.save();
+        this.emit('routing-changed');
+        return id;
+    }
+
+    removeDirect(id) {
+        const idx = this.data.directs.findIndex(d => d.id === id);
+        if (idx !== -1) {
+            this.data.directs.splice(idx, 1);
+            this.save();
+            this.emit('routing-changed');
         }
     }
 
     // --- Output Management ---
     addOutput() {
+        this.checkpoint();
         const id = this.getAvailableId(this.data.outputs);
         this.data.outputs.push({ 
             id: id, 
+            // 'device': サウンドカードへ出力、'link': UX Direct Audio Link で linkPath へ送信
+            type: 'device',
             selectedDeviceId: '', 
+            linkPath: '',
             volume: 1.0, 
             isMuted: false, 
             delayMs: 0,
-            compressor: { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 },
-            // 10バンド初期値 (ALL 0dB)
-            eqGains: new Array(10).fill(0)
+            compressor: compressor.createCompressor(),
+            // グラフィックEQ (ALL 0dB)
+            eq: eq.createEq(),
+            stereo: stereo.createStereo(),
+            channels: channels.createChannels()
         });
         this.data.outputs.sort((a, b) => a.id - b.id);
         this.save();
+        this.emit('routing-changed');
         return id;
     }
 
     removeOutput(id) {
         const idx = this.data.outputs.findIndex(o => o.id === id);
         if (idx !== -1) {
+            this.checkpoint();
             this.data.outputs.splice(idx, 1);
-            this.directRoutingSet.delete(id);
-            this.data.inputs.forEach(input => {
-                input.routing = input.routing.filter(rId => rId !== id);
+            this.getSources().forEach(({ source }) => {
+                source.sends = source.sends.filter(s => s.outputId !== id);
             });
             this.save();
+            this.emit('routing-changed');
         }
     }
 
-    toggleRouting(type, inputId, outputId) {
-        if (type === 'direct') {
-            if (this.directRoutingSet.has(outputId)) this.directRoutingSet.delete(outputId);
-            else this.directRoutingSet.add(outputId);
-        } else {
-            const input = this.data.inputs.find(i => i.id === inputId);
-            if (input) {
-                const idx = input.routing.indexOf(outputId);
-                if (idx !== -1) input.routing.splice(idx, 1);
-                else input.routing.push(outputId);
-            }
+    // --- Strip Parameters ---
+    // kind: 'input' | 'direct' | 'output'
+    getStrip(kind, id) {
+        const list = { input: this.data.inputs, direct: this.data.directs, output: this.data.outputs }[kind];
+        return list ? list.find(s => s.id === id) : undefined;
+    }
+
+    // ドラッグ中の連続変更は1ステップにまとめる (終了時に commit())
+    setVolume(kind, id, volume) {
+        const strip = this.getStrip(kind, id);
+        if (!strip) return;
+        this.checkpoint(`${kind}-${id}-volume`);
+        strip.volume = Math.min(MAX_VOLUME, Math.max(0, volume));
+        this.emit('strip-changed', kind, id);
+    }
+
+    setMuted(kind, id, muted) {
+        const strip = this.getStrip(kind, id);
+        if (!strip) return;
+        this.checkpoint();
+        strip.isMuted = muted;
+        this.save();
+        this.emit('strip-changed', kind, id);
+    }
+
+    /**
+     * 出力のEQ設定を置き換える (値は schema.js で検証・修復する)
+     * @returns {string[]|null} 修復した項目 (出力が無ければ null)
+     */
+    setOutputEq(id, value) {
+        const out = this.getStrip('output', id);
+        if (!out) return null;
+        const { data, warnings } = schema.normalizeEq(value);
+        this.checkpoint();
+        out.eq = data;
+        this.save();
+        this.emit('output-processing-changed', id);
+        return warnings;
+    }
+
+    // @returns {string[]|null} setOutputEq() と同じ
+    setOutputCompressor(id, value) {
+        const out = this.getStrip('output', id);
+        if (!out) return null;
+        const { data, warnings } = schema.normalizeCompressor(value);
+        this.checkpoint();
+        out.compressor = data;
+        this.save();
+        this.emit('output-processing-changed', id);
+        return warnings;
+    }
+
+    // @returns {boolean} 出力またはプリセットが無ければ false
+    applyCompressorPreset(id, name) {
+        const out = this.getStrip('output', id);
+        if (!out || !compressor.PRESETS[name]) return false;
+        this.checkpoint();
+        compressor.applyPreset(out.compressor, name);
+        this.save();
+        this.emit('output-processing-changed', id);
+        return true;
+    }
+
+    // ルーティングできる全ソース (ルーティングマトリクスの行の順)
+    getSources() {
+        return [
+            ...this.data.inputs.map(source => ({ type: 'hardware', source: source })),
+            ...this.data.directs.map(source => ({ type: 'direct', source: source }))
+        ];
+    }
+
+    // type: 'hardware' (inputs) | 'direct' (directs)
+    getSource(type, sourceId) {
+        const list = type === 'direct' ? this.data.directs : this.data.inputs;
+        return list.find(s => s.id === sourceId);
+    }
+
+    // 新しく繋ぐルートは 0dB・ポストフェーダー
+    toggleRouting(type, sourceId, outputId) {
+        const source = this.getSource(type, sourceId);
+        if (source) {
+            this.checkpoint();
+            const idx = source.sends.findIndex(s => s.outputId === outputId);
+            if (idx !== -1) source.sends.splice(idx, 1);
+            else source.sends.push(sends.createSend(outputId));
         }
         this.save();
         this.emit('routing-changed');
     }
 
-    isRouted(type, inputId, outputId) {
-        if (type === 'direct') return this.directRoutingSet.has(outputId);
-        const input = this.data.inputs.find(i => i.id === inputId);
-        return input ? input.routing.includes(outputId) : false;
+    isRouted(type, sourceId, outputId) {
+        return this.getSend(type, sourceId, outputId) !== null;
+    }
+
+    getSend(type, sourceId, outputId) {
+        const source = this.getSource(type, sourceId);
+        return (source && sends.findSend(source, outputId)) || null;
+    }
+
+    // ドラッグ中の連続変更は1ステップにまとめる (終了時に commit())
+    // 接続は変わらないので、ルーティング表示を作り直す 'routing-changed' ではなく軽い 'send-level-changed' を通知する
+    setSendLevel(type, sourceId, outputId, level) {
+        const send = this.getSend(type, sourceId, outputId);
+        if (!send) return;
+        this.checkpoint(`send-${type}-${sourceId}-${outputId}`);
+        send.level = Math.min(sends.LIMITS.level.max, Math.max(sends.LIMITS.level.min, level));
+        this.emit('send-level-changed', type, sourceId, outputId);
+    }
+
+    setSendPreFader(type, sourceId, outputId, preFader) {
+        const send = this.getSend(type, sourceId, outputId);
+        if (!send) return;
+        this.checkpoint();
+        send.preFader = preFader;
+        this.save();
+        this.emit('routing-changed');
+    }
+
+    // --- Scene Management ---
+    captureScene() {
+        return JSON.parse(JSON.stringify({
+            inputs: this.data.inputs,
+            directs: this.data.directs,
+            directBuffer: this.data.directBuffer,
+            outputs: this.data.outputs
+        }));
+    }
+
+    // 同名のシーンがあれば上書きする
+    saveScene(name) {
+        let scene = this.data.scenes.find(s => s.name === name);
+        if (!scene) {
+            scene = { id: this.getAvailableId(this.data.scenes), name: name };
+            this.data.scenes.push(scene);
+            this.data.scenes.sort((a, b) => a.id - b.id);
+        }
+        scene.snapshot = this.captureScene();
+        this.save();
+        return scene.id;
+    }
+
+    removeScene(id) {
+        const idx = this.data.scenes.findIndex(s => s.id === id);
+        if (idx !== -1) {
+            this.data.scenes.splice(idx, 1);
+            this.save();
+        }
+    }
+
+    /**
+     * シーンの内容を現在の設定へ適用する (Undo可能)
+     * @returns {{restart: boolean, deviceChanged: number[]}|null} applySnapshot() を参照
+     */
+    recallScene(id) {
+        const scene = this.data.scenes.find(s => s.id === id);
+        if (!scene || !scene.snapshot) return null;
+        this.checkpoint();
+        const result = this.applySnapshot(scene.snapshot);
+        this.save();
+        this.emit('scene-recalled', scene.id);
+        return result;
+    }
+
+    /**
+     * captureScene() 形式のスナップショットを現在の設定へ適用する。
+     * Direct Link のスロットは接続中のSenderに紐づくため増減させず、同じIDのスロットにだけ値を適用する。
+     * @returns {{restart: boolean, deviceChanged: number[]}}
+     *   restart: ストリップ構成 (入力デバイス/出力の増減) が変わり、エンジンの再構築が必要
+     *   deviceChanged: 出力デバイス (または Direct Link の送信先) だけが変わった出力ID
+     */
+    applySnapshot(snapshot) {
+        const snap = JSON.parse(JSON.stringify(snapshot));
+
+        const inputKey = list => list.map(i => `${i.id}:${i.deviceId}:${channels.key(i.channels)}`).join(',');
+        const outputKey = list => list.map(o => o.id).join(',');
+        const restart = inputKey(snap.inputs) !== inputKey(this.data.inputs) ||
+            outputKey(snap.outputs) !== outputKey(this.data.outputs);
+
+        const deviceChanged = [];
+        if (!restart) {
+            snap.outputs.forEach(out => {
+                const current = this.data.outputs.find(o => o.id === out.id);
+                if (!current) return;
+                if (current.selectedDeviceId !== out.selectedDeviceId || current.type !== out.type || current.linkPath !== out.linkPath) {
+                    deviceChanged.push(out.id);
+                }
+            });
+        }
+
+        this.data.inputs = snap.inputs;
+        this.data.outputs = snap.outputs;
+        const outputIds = new Set(snap.outputs.map(o => o.id));
+        this.data.directs.forEach(dir => {
+            const saved = snap.directs.find(d => d.id === dir.id);
+            if (saved) {
+                dir.volume = saved.volume;
+                dir.isMuted = saved.isMuted;
+                dir.sends = saved.sends;
+            }
+            dir.sends = dir.sends.filter(s => outputIds.has(s.outputId));
+        });
+        if (snap.directBuffer !== undefined) this.data.directBuffer = snap.directBuffer;
+
+        return { restart: restart, deviceChanged: deviceChanged };
+    }
+
+    // --- Undo / Redo ---
+    // 変更の直前に checkpoint() で状態を記録する。
+    // 同じ mergeKey の checkpoint が続く間 (フェーダーのドラッグ中など) は1ステップにまとめ、commit() で区切る
+    checkpoint(mergeKey = null) {
+        if (this.historyDepth > 0) return;
+        if (mergeKey !== null && mergeKey === this.historyMergeKey) return;
+        this.undoStack.push(this.captureScene());
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+        this.historyMergeKey = mergeKey;
+    }
+
+    // ドラッグ等の連続操作の終了 (設定を保存し、次の変更を別ステップにする)
+    commit() {
+        this.historyMergeKey = null;
+        this.save();
+    }
+
+    // fn 内の変更をまとめて1ステップとして記録する
+    group(fn) {
+        this.checkpoint();
+        this.historyDepth++;
+        try {
+            return fn();
+        } finally {
+            this.historyDepth--;
+        }
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyMergeKey = null;
+    }
+
+    // @returns applySnapshot() の結果 (戻せる履歴が無ければ null)
+    undo() {
+        return this.stepHistory(this.undoStack, this.redoStack);
+    }
+
+    redo() {
+        return this.stepHistory(this.redoStack, this.undoStack);
+    }
+
+    stepHistory(from, to) {
+        if (from.length === 0) return null;
+        to.push(this.captureScene());
+        const result = this.applySnapshot(from.pop());
+        this.historyMergeKey = null;
+        this.save();
+        this.emit('history-changed');
+        return result;
     }
 
     getAvailableId(list) {
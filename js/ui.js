@@ -1,73 +1,267 @@
 // js/ui.js
-const { ipcRenderer } = require('electron');
+const { ipcRenderer, shell } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
 const store = require('./store');
+const eq = require('./eq');
+const EqGraph = require('./eq-graph');
+const Analyzer = require('./analyzer');
+const compressor = require('./compressor');
+const inputChain = require('./input-chain');
+const sends = require('./sends');
+const stereo = require('./stereo');
+const channels = require('./channels');
+const meters = require('./meters');
 const audio = require('./audio');
+const ipc = require('./ipc');
+const recorder = require('./recorder');
+const remote = require('./remote');
+const osc = require('./osc');
+
+// コンプレッサーエディタの各パラメータ (scale: 表示単位への倍率)
+const COMP_PARAMS = [
+    { key: 'threshold', label: 'Threshold', min: -60, max: 0, step: 0.5, unit: 'dB', scale: 1, digits: 1 },
+    { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.1, unit: ':1', scale: 1, digits: 1 },
+    { key: 'knee', label: 'Knee', min: 0, max: 40, step: 1, unit: 'dB', scale: 1, digits: 0 },
+    { key: 'attack', label: 'Attack', min: 0, max: 1000, step: 1, unit: 'ms', scale: 1000, digits: 0 },
+    { key: 'release', label: 'Release', min: 10, max: 1000, step: 1, unit: 'ms', scale: 1000, digits: 0 },
+    { key: 'makeup', label: 'Makeup', min: 0, max: 24, step: 0.5, unit: 'dB', scale: 1, digits: 1 }
+];
+// ゲインリダクションメーターのフルスケール (dB)
+const COMP_GR_RANGE = 24;
+
+// ルートボタンのドラッグ感度 (dB/px) と、クリック扱いにする移動量 (px)
+const SEND_DRAG_DB_PER_PX = 0.5;
+const SEND_DRAG_THRESHOLD = 3;
+
+// 出力デバイス選択の Direct Link 送信 (type: 'link') 用の値
+const LINK_DEVICE_VALUE = '__link__';
+
+// ステレオエディタのスライダーとトグル
+const STEREO_PARAMS = [
+    { key: 'pan', label: 'Pan / Balance', min: -100, max: 100, step: 1, unit: '', scale: 100, digits: 0 },
+    { key: 'width', label: 'Width', min: 0, max: 200, step: 1, unit: '%', scale: 100, digits: 0 }
+];
+const STEREO_TOGGLES = [
+    { key: 'mono', label: 'MONO' },
+    { key: 'swap', label: 'L/R SWAP' },
+    { key: 'invertL', label: 'Ø L' },
+    { key: 'invertR', label: 'Ø R' }
+];
+
+// 入力処理エディタのセクション (toggle: enabled を持つセクション)
+const INPUT_SECTIONS = [
+    {
+        key: 'hpf', label: 'High-Pass', toggle: true, params: [
+            { key: 'frequency', label: 'Frequency', min: 20, max: 400, step: 1, unit: 'Hz', scale: 1, digits: 0 }
+        ]
+    },
+    {
+        key: 'gate', label: 'Noise Gate', toggle: true, params: [
+            { key: 'threshold', label: 'Threshold', min: -90, max: 0, step: 0.5, unit: 'dB', scale: 1, digits: 1 },
+            { key: 'attack', label: 'Attack', min: 0.1, max: 100, step: 0.1, unit: 'ms', scale: 1000, digits: 1 },
+            { key: 'release', label: 'Release', min: 10, max: 2000, step: 1, unit: 'ms', scale: 1000, digits: 0 },
+            { key: 'range', label: 'Range', min: -90, max: 0, step: 1, unit: 'dB', scale: 1, digits: 0 }
+        ]
+    },
+    {
+        key: 'eq', label: 'EQ', toggle: false, params: [
+            { key: 'low', label: 'Low', min: -12, max: 12, step: 0.5, unit: 'dB', scale: 1, digits: 1 },
+            { key: 'mid', label: 'Mid', min: -12, max: 12, step: 0.5, unit: 'dB', scale: 1, digits: 1 },
+            { key: 'high', label: 'High', min: -12, max: 12, step: 0.5, unit: 'dB', scale: 1, digits: 1 }
+        ]
+    }
+];
 
 class UI {
     constructor() {
         this.el = {
             inputsContainer: document.getElementById('inputStripsContainer'),
-            directContainer: document.getElementById('directStripContainer'),
+            directsContainer: document.getElementById('directStripsContainer'),
             outputsContainer: document.getElementById('outputStripsContainer'),
             startBtn: document.getElementById('startBtn'),
             addInputBtn: document.getElementById('addInputBtn'),
             addOutputBtn: document.getElementById('addOutputBtn'),
             statusDot: document.getElementById('uxMusicStatusDot'),
             statusText: document.getElementById('uxMusicStatusText'),
-            dirRoute: document.getElementById('directRouteContainer'),
-            dirFader: document.getElementById('directGainFader'),
-            dirDb: document.getElementById('directDbDisplay'),
-            dirMute: document.getElementById('directMuteBtn'),
-            dirMeterL: document.getElementById('directMeterL'),
-            dirMeterR: document.getElementById('directMeterR'),
             dirBufferSlider: document.getElementById('directBufferSlider'),
             dirBufferVal: document.getElementById('directBufferVal'),
+            resamplerSelect: document.getElementById('resamplerQualitySelect'),
 
             // Modal Elements
             eqModalOverlay: document.getElementById('eqModalOverlay'),
             eqModalTitle: document.getElementById('eqModalTitle'),
             eqModalCloseBtn: document.getElementById('eqModalCloseBtn'),
             eqSlidersContainer: document.getElementById('eqSlidersContainer'),
-            eqResetBtn: document.getElementById('eqResetBtn')
+            eqResetBtn: document.getElementById('eqResetBtn'),
+            eqModeGraphicBtn: document.getElementById('eqModeGraphicBtn'),
+            eqModeParametricBtn: document.getElementById('eqModeParametricBtn'),
+            eqBandsContainer: document.getElementById('eqBandsContainer'),
+            eqAddBandBtn: document.getElementById('eqAddBandBtn'),
+            eqGraphCanvas: document.getElementById('eqGraphCanvas'),
+
+            compModalOverlay: document.getElementById('compModalOverlay'),
+            compModalTitle: document.getElementById('compModalTitle'),
+            compModalCloseBtn: document.getElementById('compModalCloseBtn'),
+            compEnableBtn: document.getElementById('compEnableBtn'),
+            compPresetSelect: document.getElementById('compPresetSelect'),
+            compParamsContainer: document.getElementById('compParamsContainer'),
+            compGrFill: document.getElementById('compGrFill'),
+            compGrValue: document.getElementById('compGrValue'),
+            compResetBtn: document.getElementById('compResetBtn'),
+
+            inputModalOverlay: document.getElementById('inputModalOverlay'),
+            inputModalTitle: document.getElementById('inputModalTitle'),
+            inputModalCloseBtn: document.getElementById('inputModalCloseBtn'),
+            inputProcContainer: document.getElementById('inputProcContainer'),
+            inputProcResetBtn: document.getElementById('inputProcResetBtn'),
+
+            stereoModalOverlay: document.getElementById('stereoModalOverlay'),
+            stereoModalTitle: document.getElementById('stereoModalTitle'),
+            stereoModalCloseBtn: document.getElementById('stereoModalCloseBtn'),
+            stereoContainer: document.getElementById('stereoContainer'),
+            stereoResetBtn: document.getElementById('stereoResetBtn'),
+
+            matrixOpenBtn: document.getElementById('matrixOpenBtn'),
+            matrixModalOverlay: document.getElementById('matrixModalOverlay'),
+            matrixModalCloseBtn: document.getElementById('matrixModalCloseBtn'),
+            matrixContainer: document.getElementById('matrixContainer'),
+
+            analyzerOpenBtn: document.getElementById('analyzerOpenBtn'),
+            analyzerModalOverlay: document.getElementById('analyzerModalOverlay'),
+            analyzerModalCloseBtn: document.getElementById('analyzerModalCloseBtn'),
+            analyzerHost: document.getElementById('analyzerHost'),
+            analyzerPanel: document.getElementById('analyzerPanel'),
+            analyzerCanvas: document.getElementById('analyzerCanvas'),
+            analyzerSourceA: document.getElementById('analyzerSourceA'),
+            analyzerSourceB: document.getElementById('analyzerSourceB'),
+            analyzerMode: document.getElementById('analyzerMode'),
+            analyzerAveraging: document.getElementById('analyzerAveraging'),
+            analyzerPeakBtn: document.getElementById('analyzerPeakBtn'),
+            analyzerPeakResetBtn: document.getElementById('analyzerPeakResetBtn'),
+            analyzerDiffBtn: document.getElementById('analyzerDiffBtn'),
+            analyzerDetachBtn: document.getElementById('analyzerDetachBtn'),
+
+            recorderOpenBtn: document.getElementById('recorderOpenBtn'),
+            recorderModalOverlay: document.getElementById('recorderModalOverlay'),
+            recorderModalCloseBtn: document.getElementById('recorderModalCloseBtn'),
+            recorderFolder: document.getElementById('recorderFolder'),
+            recorderBrowseBtn: document.getElementById('recorderBrowseBtn'),
+            recorderOpenFolderBtn: document.getElementById('recorderOpenFolderBtn'),
+            recorderBitDepth: document.getElementById('recorderBitDepth'),
+            recorderSplitSize: document.getElementById('recorderSplitSize'),
+            recorderContainer: document.getElementById('recorderContainer'),
+            recorderStopAllBtn: document.getElementById('recorderStopAllBtn'),
+
+            linkSettingsBtn: document.getElementById('linkSettingsBtn'),
+            linkModalOverlay: document.getElementById('linkModalOverlay'),
+            linkModalCloseBtn: document.getElementById('linkModalCloseBtn'),
+            linkTcpEnabled: document.getElementById('linkTcpEnabled'),
+            linkTcpHost: document.getElementById('linkTcpHost'),
+            linkTcpPort: document.getElementById('linkTcpPort'),
+            linkToken: document.getElementById('linkToken'),
+            linkTokenGenBtn: document.getElementById('linkTokenGenBtn'),
+            linkApplyBtn: document.getElementById('linkApplyBtn'),
+            remoteSettingsBtn: document.getElementById('remoteSettingsBtn'),
+            remoteModalOverlay: document.getElementById('remoteModalOverlay'),
+            remoteModalCloseBtn: document.getElementById('remoteModalCloseBtn'),
+            remoteEnabled: document.getElementById('remoteEnabled'),
+            remotePort: document.getElementById('remotePort'),
+            remoteToken: document.getElementById('remoteToken'),
+            remoteStatus: document.getElementById('remoteStatus'),
+            remoteTokenGenBtn: document.getElementById('remoteTokenGenBtn'),
+            remoteApplyBtn: document.getElementById('remoteApplyBtn'),
+            oscSettingsBtn: document.getElementById('oscSettingsBtn'),
+            oscModalOverlay: document.getElementById('oscModalOverlay'),
+            oscModalCloseBtn: document.getElementById('oscModalCloseBtn'),
+            oscEnabled: document.getElementById('oscEnabled'),
+            oscHost: document.getElementById('oscHost'),
+            oscPort: document.getElementById('oscPort'),
+            oscFeedbackPort: document.getElementById('oscFeedbackPort'),
+            oscToken: document.getElementById('oscToken'),
+            oscTokenGenBtn: document.getElementById('oscTokenGenBtn'),
+            oscStatus: document.getElementById('oscStatus'),
+            oscApplyBtn: document.getElementById('oscApplyBtn'),
+            configExportBtn: document.getElementById('configExportBtn'),
+            configImportBtn: document.getElementById('configImportBtn'),
+
+            sceneButtonsContainer: document.getElementById('sceneButtonsContainer'),
+            sceneNameInput: document.getElementById('sceneNameInput'),
+            sceneSaveBtn: document.getElementById('sceneSaveBtn'),
+            sceneFadeInput: document.getElementById('sceneFadeInput')
         };
 
-        this.meterValues = new Map();
+        // meter-fill の id -> meters.MeterBallistics
+        this.meterStates = new Map();
         this.lastTime = performance.now();
-        this.fftData = new Uint8Array(2048);
+        this.floatData = new Float32Array(2048);
         this.inputDevices = [];
         this.outputDevices = [];
         this.isVisible = true;
 
         this.currentEqOutputId = null;
+        this.eqGraph = null;
+        this.currentCompOutputId = null;
+        this.currentProcInputId = null;
+        // ステレオエディタの対象 { kind: 'input' | 'output', id }
+        this.currentStereoTarget = null;
+        this.isMatrixOpen = false;
+        // ルーティングマトリクスのセル: [{ el, type, source, outputId, activity }]
+        this.matrixCells = [];
+        this.analyzer = null;
+        // DETACH で切り離したアナライザーのウィンドウ
+        this.analyzerWindow = null;
+        this.isRecorderOpen = false;
+        // 録音モーダルの行: [{ kind, id, btn, time, size, file }]
+        this.recorderRows = [];
         this.isMeterLoopRunning = false;
+        // slotId -> { connected, rate, info }
+        this.directStatus = new Map();
+        this.lastStatsTime = 0;
+        // 最後に呼び出した/保存したシーン (表示用、保存はしない)
+        this.activeSceneId = null;
     }
 
     async init() {
         this.setupGlobalListeners();
+        if (this.el.eqGraphCanvas) {
+            this.eqGraph = new EqGraph(this.el.eqGraphCanvas, {
+                onDragStart: (index) => {
+                    if (this.currentEqOutputId !== null) store.checkpoint(`output-${this.currentEqOutputId}-eq-${index}-graph`);
+                },
+                onBandChange: (index) => this.onEqGraphChange(index),
+                onDragEnd: () => store.commit()
+            });
+        }
+        if (this.el.analyzerCanvas) this.analyzer = new Analyzer(this.el.analyzerCanvas);
         await this.refreshDeviceList();
         // store.load() は app.js で実行済みのため削除
 
         store.data.inputs.forEach(inData => this.renderInputStrip(inData));
 
-        if (this.el.dirFader) this.el.dirFader.value = store.data.directGain;
-        if (this.el.dirDb) this.updateDb(this.el.dirDb, store.data.directGain);
-        if (this.el.dirMute) this.updateMuteBtn(this.el.dirMute, store.data.directMuted);
-        if (this.el.dirRoute) this.renderRoutingContainer(this.el.dirRoute, 'direct', null);
+        store.data.directs.forEach(dirData => this.renderDirectStrip(dirData));
         if (this.el.dirBufferSlider) {
             this.el.dirBufferSlider.value = store.data.directBuffer;
-            if (this.el.dirBufferVal) this.el.dirBufferVal.textContent = store.data.directBuffer.toFixed(2);
+            if (this.el.dirBufferVal) this.el.dirBufferVal.textContent = store.data.directBuffer.toFixed(3);
         }
+        if (this.el.resamplerSelect) this.el.resamplerSelect.value = store.data.resamplerQuality;
 
         store.data.outputs.forEach(outData => this.renderOutputStrip(outData));
 
+        if (this.el.sceneFadeInput) this.el.sceneFadeInput.value = store.data.sceneFade;
+        this.renderSceneButtons();
+
         store.on('routing-changed', () => {
-            store.data.inputs.forEach(i => {
-                const container = document.getElementById(`input-${i.id}-route`);
-                if (container) this.renderRoutingContainer(container, 'hardware', i.id);
-            });
-            if (this.el.dirRoute) this.renderRoutingContainer(this.el.dirRoute, 'direct', null);
+            this.refreshRoutingContainers();
+            audio.updateAllGains();
+        });
+        store.on('send-level-changed', (type, sourceId, outputId) => {
+            this.updateSendControls(type, sourceId, outputId);
             audio.updateAllGains();
         });
+        // フェーダー/ミュートやEQ・コンプレッサーの変更 (UI とリモートAPIの両方から) を表示とエンジンへ反映
+        store.on('strip-changed', (kind, id) => this.syncStrip(kind, id));
+        store.on('output-processing-changed', (id) => this.syncOutputProcessing(id));
 
         this.startMeterLoop();
     }
@@ -86,28 +280,18 @@ class UI {
             }
         });
 
-        this.el.dirFader?.addEventListener('input', (e) => {
-            const val = parseFloat(e.target.value);
-            store.data.directGain = val;
-            this.updateDb(this.el.dirDb, val);
-            audio.updateAllGains();
-        });
-        this.el.dirFader?.addEventListener('change', () => store.save());
-
-        this.el.dirMute?.addEventListener('click', () => {
-            store.data.directMuted = !store.data.directMuted;
-            this.updateMuteBtn(this.el.dirMute, store.data.directMuted);
-            audio.updateAllGains();
-            store.save();
-        });
-
         this.el.dirBufferSlider?.addEventListener('input', (e) => {
             const val = parseFloat(e.target.value);
             store.data.directBuffer = val;
-            if (this.el.dirBufferVal) this.el.dirBufferVal.textContent = val.toFixed(2);
+            if (this.el.dirBufferVal) this.el.dirBufferVal.textContent = val.toFixed(3);
         });
         this.el.dirBufferSlider?.addEventListener('change', () => store.save());
 
+        this.el.resamplerSelect?.addEventListener('change', (e) => {
+            store.data.resamplerQuality = e.target.value;
+            store.save();
+        });
+
         this.el.startBtn?.addEventListener('click', () => {
             if (audio.isRunning) { audio.stop(); this.updateStartBtn(false); }
             else { audio.start(); this.updateStartBtn(true); }
@@ -120,6 +304,7 @@ class UI {
         ipcRenderer.on('toggle-global-mute', (event, newState) => {
             const anyActive = store.data.outputs.some(o => !o.isMuted);
             const muteAll = anyActive;
+            store.checkpoint();
             store.data.outputs.forEach(o => o.isMuted = muteAll);
             store.save();
             this.el.outputsContainer.innerHTML = '';
@@ -137,12 +322,167 @@ class UI {
             if (this.currentEqOutputId === null) return;
             const data = store.data.outputs.find(o => o.id === this.currentEqOutputId);
             if (data) {
-                data.eqGains.fill(0);
+                store.checkpoint();
+                // グラフィックは全バンド0dB、パラメトリックはバンドを全て削除
+                if (data.eq.mode === 'graphic') data.eq.bands.forEach(b => b.gain = 0);
+                else data.eq.bands = [];
                 audio.updateStripParams(data.id);
                 store.save();
-                this.renderEqModalContent(data); // Slidersを0に戻す
+                this.renderEqModalContent(data);
             }
         });
+        this.el.eqModeGraphicBtn?.addEventListener('click', () => this.setEqMode('graphic'));
+        this.el.eqModeParametricBtn?.addEventListener('click', () => this.setEqMode('parametric'));
+        this.el.eqAddBandBtn?.addEventListener('click', () => {
+            const data = store.data.outputs.find(o => o.id === this.currentEqOutputId);
+            if (!data || data.eq.bands.length >= eq.MAX_BANDS) return;
+            store.checkpoint();
+            data.eq.bands.push(eq.createBand(data.eq.bands));
+            audio.updateStripParams(data.id);
+            store.save();
+            this.renderEqModalContent(data);
+        });
+
+        this.el.compModalCloseBtn?.addEventListener('click', () => this.closeCompModal());
+        this.el.compModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.compModalOverlay) this.closeCompModal();
+        });
+        Object.keys(compressor.PRESETS).forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.text = name;
+            this.el.compPresetSelect?.appendChild(opt);
+        });
+        this.el.compPresetSelect?.addEventListener('change', (e) => {
+            const name = e.target.value;
+            e.target.value = '';
+            if (this.currentCompOutputId !== null) store.applyCompressorPreset(this.currentCompOutputId, name);
+        });
+        this.el.compEnableBtn?.addEventListener('click', () => {
+            this.editCompressor(settings => { settings.enabled = !settings.enabled; });
+        });
+        this.el.compResetBtn?.addEventListener('click', () => {
+            this.editCompressor(settings => Object.assign(settings, compressor.DEFAULTS, { enabled: settings.enabled }));
+        });
+
+        this.el.inputModalCloseBtn?.addEventListener('click', () => this.closeInputModal());
+        this.el.inputModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.inputModalOverlay) this.closeInputModal();
+        });
+        this.el.inputProcResetBtn?.addEventListener('click', () => {
+            this.editInputProcessing(data => { data.processing = inputChain.createProcessing(); });
+        });
+
+        this.el.stereoModalCloseBtn?.addEventListener('click', () => this.closeStereoModal());
+        this.el.stereoModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.stereoModalOverlay) this.closeStereoModal();
+        });
+        this.el.stereoResetBtn?.addEventListener('click', () => {
+            this.editStereo(data => { data.stereo = stereo.createStereo(); });
+        });
+
+        this.el.matrixOpenBtn?.addEventListener('click', () => this.openMatrixModal());
+        this.el.matrixModalCloseBtn?.addEventListener('click', () => this.closeMatrixModal());
+        this.el.matrixModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.matrixModalOverlay) this.closeMatrixModal();
+        });
+
+        this.el.analyzerOpenBtn?.addEventListener('click', () => this.openAnalyzerModal());
+        this.el.analyzerModalCloseBtn?.addEventListener('click', () => this.closeAnalyzerModal());
+        this.el.analyzerModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.analyzerModalOverlay) this.closeAnalyzerModal();
+        });
+        [this.el.analyzerSourceA, this.el.analyzerSourceB].forEach(select => {
+            select?.addEventListener('change', () => this.applyAnalyzerSources());
+        });
+        this.el.analyzerMode?.addEventListener('change', (e) => this.analyzer.setSettings({ mode: e.target.value }));
+        this.el.analyzerAveraging?.addEventListener('change', (e) => this.analyzer.setSettings({ averaging: e.target.value }));
+        this.el.analyzerPeakBtn?.addEventListener('click', () => {
+            this.analyzer.setSettings({ peakHold: !this.analyzer.settings.peakHold });
+            this.el.analyzerPeakBtn.classList.toggle('active', this.analyzer.settings.peakHold);
+        });
+        this.el.analyzerPeakResetBtn?.addEventListener('click', () => this.analyzer.resetPeaks());
+        this.el.analyzerDiffBtn?.addEventListener('click', () => {
+            this.analyzer.setSettings({ diff: !this.analyzer.settings.diff });
+            this.el.analyzerDiffBtn.classList.toggle('active', this.analyzer.settings.diff);
+        });
+        this.el.analyzerDetachBtn?.addEventListener('click', () => this.detachAnalyzer());
+
+        this.el.recorderOpenBtn?.addEventListener('click', () => this.openRecorderModal());
+        this.el.recorderModalCloseBtn?.addEventListener('click', () => this.closeRecorderModal());
+        this.el.recorderModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.recorderModalOverlay) this.closeRecorderModal();
+        });
+        this.el.recorderBrowseBtn?.addEventListener('click', () => this.browseRecorderFolder());
+        this.el.recorderOpenFolderBtn?.addEventListener('click', () => this.openRecorderFolder());
+        this.el.recorderBitDepth?.addEventListener('change', (e) => {
+            store.data.recorder.bitDepth = parseInt(e.target.value, 10);
+            store.save();
+        });
+        this.el.recorderSplitSize?.addEventListener('change', (e) => {
+            store.data.recorder.splitSizeMB = parseInt(e.target.value, 10);
+            store.save();
+        });
+        this.el.recorderStopAllBtn?.addEventListener('click', () => {
+            Array.from(recorder.recordings.values()).forEach(rec => recorder.stop(rec.kind, rec.id));
+            this.updateRecorderStatus();
+        });
+        // 終了時は録音中のファイルを閉じる (ヘッダーを確定させる)
+        window.addEventListener('beforeunload', () => recorder.stopAll());
+
+        this.el.linkSettingsBtn?.addEventListener('click', () => this.openLinkModal());
+        this.el.linkModalCloseBtn?.addEventListener('click', () => this.closeLinkModal());
+        this.el.linkModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.linkModalOverlay) this.closeLinkModal();
+        });
+        this.el.linkTokenGenBtn?.addEventListener('click', () => {
+            this.el.linkToken.value = crypto.randomBytes(16).toString('hex');
+        });
+        this.el.linkApplyBtn?.addEventListener('click', () => this.applyLinkSettings());
+        this.el.remoteSettingsBtn?.addEventListener('click', () => this.openRemoteModal());
+        this.el.remoteModalCloseBtn?.addEventListener('click', () => this.closeRemoteModal());
+        this.el.remoteModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.remoteModalOverlay) this.closeRemoteModal();
+        });
+        this.el.remoteTokenGenBtn?.addEventListener('click', () => {
+            this.el.remoteToken.value = crypto.randomBytes(16).toString('hex');
+        });
+        this.el.remoteApplyBtn?.addEventListener('click', () => this.applyRemoteSettings());
+        this.el.oscSettingsBtn?.addEventListener('click', () => this.openOscModal());
+        this.el.oscModalCloseBtn?.addEventListener('click', () => this.closeOscModal());
+        this.el.oscModalOverlay?.addEventListener('click', (e) => {
+            if (e.target === this.el.oscModalOverlay) this.closeOscModal();
+        });
+        this.el.oscTokenGenBtn?.addEventListener('click', () => {
+            this.el.oscToken.value = crypto.randomBytes(16).toString('hex');
+        });
+        this.el.oscApplyBtn?.addEventListener('click', () => this.applyOscSettings());
+        this.el.configExportBtn?.addEventListener('click', () => this.exportConfig());
+        this.el.configImportBtn?.addEventListener('click', () => this.importConfig());
+
+        // --- Undo / Redo (テキスト入力中はブラウザ標準の動作を優先) ---
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            const tag = e.target.tagName;
+            if ((tag === 'INPUT' && ['text', 'number'].includes(e.target.type)) || tag === 'TEXTAREA') return;
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        });
+
+        // --- Scene Events ---
+        this.el.sceneSaveBtn?.addEventListener('click', () => this.saveScene());
+        this.el.sceneNameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveScene();
+        });
+        this.el.sceneFadeInput?.addEventListener('change', (e) => {
+            let val = parseFloat(e.target.value);
+            if (!(val >= 0)) val = 0;
+            if (val > 10) val = 10;
+            e.target.value = val;
+            store.data.sceneFade = val;
+            store.save();
+        });
     }
 
     // --- Input Management ---
@@ -156,8 +496,8 @@ class UI {
         if (!confirm('Remove input?')) return;
         const el = document.getElementById(`input-strip-${id}`);
         if (el) el.remove();
-        this.meterValues.delete(`input-${id}-meterL`);
-        this.meterValues.delete(`input-${id}-meterR`);
+        this.meterStates.delete(`input-${id}-meterL`);
+        this.meterStates.delete(`input-${id}-meterR`);
         store.removeInput(id);
         if (audio.isRunning) { audio.stop(); audio.start(); this.updateStartBtn(true); }
     }
@@ -170,12 +510,15 @@ class UI {
             <div class="strip-header">IN ${data.id}</div>
             <button class="delete-strip-btn">×</button>
             <select class="device-select"></select>
+            <select class="channel-select" title="Input channels"></select>
+            <button class="eq-open-btn proc-open-btn ${inputChain.isActive(data.processing) ? 'active' : ''}">PROC</button>
+            <div class="stereo-row">
+                <input type="range" class="pan-slider" min="-1" max="1" step="0.01" value="${data.stereo.pan}" title="Pan / Balance (double-click: center)">
+                <button class="comp-btn stereo-btn ${stereo.isActive(data.stereo) ? 'active' : ''}" title="Stereo Tools">ST</button>
+            </div>
             <div class="route-container" id="input-${data.id}-route"></div>
             <div class="fader-group">
-                <div class="meter-container-stereo">
-                    <div class="meter-container"><div class="meter-fill" id="input-${data.id}-meterL"></div></div>
-                    <div class="meter-container"><div class="meter-fill" id="input-${data.id}-meterR"></div></div>
-                </div>
+                ${this.meterMarkup(`input-${data.id}`)}
                 <input type="range" class="fader-main" orient="vertical" min="0" max="1.5" step="0.01" value="${data.volume}">
             </div>
             <div class="db-display">0.0dB</div>
@@ -185,31 +528,95 @@ class UI {
         const fader = div.querySelector('.fader-main');
         const dbDisp = div.querySelector('.db-display');
         const delBtn = div.querySelector('.delete-strip-btn');
+        const procBtn = div.querySelector('.proc-open-btn');
+        const chSel = div.querySelector('.channel-select');
+        this.bindClipReset(div);
 
         this.updateDb(dbDisp, data.volume);
         this.populateInputDeviceSelect(sel, data.deviceId);
+        this.populateChannelSelect(chSel, audio.getInputChannelCount(data.deviceId), data.channels, 'In');
+        chSel.onchange = () => {
+            store.checkpoint();
+            data.channels = this.parseChannels(chSel.value);
+            store.save();
+            // 開いているデバイスのch数が足りなければ開き直す
+            if (audio.isRunning && !audio.setInputChannels(data.id)) { audio.stop(); audio.start(); }
+        };
+        procBtn.onclick = () => this.openInputModal(data.id);
+        this.bindStereoRow(div, 'input', data);
         this.renderRoutingContainer(routeCont, 'hardware', data.id);
 
         delBtn.onclick = () => this.removeInput(data.id);
-        sel.onchange = () => { data.deviceId = sel.value; store.save(); if (audio.isRunning) { audio.stop(); audio.start(); } };
-        fader.oninput = (e) => { data.volume = parseFloat(e.target.value); this.updateDb(dbDisp, data.volume); audio.updateAllGains(); };
-        fader.onchange = () => store.save();
+        sel.onchange = () => { store.checkpoint(); data.deviceId = sel.value; store.save(); if (audio.isRunning) { audio.stop(); audio.start(); } };
+        fader.oninput = (e) => store.setVolume('input', data.id, parseFloat(e.target.value));
+        fader.onchange = () => store.commit();
         this.el.inputsContainer.appendChild(div);
     }
 
+    // --- Direct Link Management ---
+    removeDirect(id) {
+        if (ipc.isSlotConnected(id)) return;
+        if (!confirm('Remove direct link slot?')) return;
+        const el = document.getElementById(`direct-strip-${id}`);
+        if (el) el.remove();
+        this.meterStates.delete(`direct-${id}-meterL`);
+        this.meterStates.delete(`direct-${id}-meterR`);
+        this.directStatus.delete(id);
+        audio.removeDirectSource(id);
+        store.removeDirect(id);
+    }
+
+    renderDirectStrip(data) {
+        const div = document.createElement('div');
+        div.className = 'strip direct-strip';
+        div.id = `direct-strip-${data.id}`;
+        div.innerHTML = `
+            <div class="strip-header">DIRECT ${data.id}</div>
+            <button class="delete-strip-btn">×</button>
+            <div class="direct-status" id="direct-${data.id}-status">WAITING</div>
+            <div class="direct-stats" id="direct-${data.id}-stats">&nbsp;</div>
+            <div class="route-container" id="direct-${data.id}-route"></div>
+            <div class="fader-group">
+                ${this.meterMarkup(`direct-${data.id}`)}
+                <input type="range" class="fader-main" orient="vertical" min="0" max="1.5" step="0.01" value="${data.volume}">
+            </div>
+            <div class="db-display">0.0dB</div>
+            <button class="btn-mute">Mute</button>
+        `;
+        const routeCont = div.querySelector('.route-container');
+        const fader = div.querySelector('.fader-main');
+        const dbDisp = div.querySelector('.db-display');
+        const muteBtn = div.querySelector('.btn-mute');
+        const delBtn = div.querySelector('.delete-strip-btn');
+        this.bindClipReset(div);
+
+        this.updateDb(dbDisp, data.volume);
+        this.updateMuteBtn(muteBtn, data.isMuted);
+        this.renderRoutingContainer(routeCont, 'direct', data.id);
+
+        delBtn.onclick = () => this.removeDirect(data.id);
+        fader.oninput = (e) => store.setVolume('direct', data.id, parseFloat(e.target.value));
+        fader.onchange = () => store.commit();
+        muteBtn.onclick = () => store.setMuted('direct', data.id, !data.isMuted);
+
+        this.el.directsContainer.appendChild(div);
+        const status = this.directStatus.get(data.id);
+        if (status) this.updateDirectStrip(data.id, status.connected, status.rate, status.info);
+        else this.updateDirectStrip(data.id, false, 0);
+    }
+
     // --- Output Management ---
     addNewOutput() {
-        const id = store.addOutput();
+        // 出力の追加と全ソースのルーティングを1回のUndoで戻せるようにまとめる
+        const id = store.group(() => {
+            const outputId = store.addOutput();
+            store.data.inputs.forEach(inp => store.toggleRouting('hardware', inp.id, outputId));
+            store.data.directs.forEach(dir => store.toggleRouting('direct', dir.id, outputId));
+            return outputId;
+        });
         const newData = store.data.outputs.find(o => o.id === id);
-        store.data.inputs.forEach(inp => store.toggleRouting('hardware', inp.id, id));
-        store.toggleRouting('direct', null, id);
         this.renderOutputStrip(newData);
 
-        store.data.inputs.forEach(i => {
-            const c = document.getElementById(`input-${i.id}-route`);
-            if (c) this.renderRoutingContainer(c, 'hardware', i.id);
-        });
-        if (this.el.dirRoute) this.renderRoutingContainer(this.el.dirRoute, 'direct', null);
         if (audio.isRunning) audio.createStripContext(newData);
     }
 
@@ -217,16 +624,10 @@ class UI {
         if (!confirm('Remove output?')) return;
         const el = document.getElementById(`strip-${id}`);
         if (el) el.remove();
-        this.meterValues.delete(`strip-${id}-meterL`);
-        this.meterValues.delete(`strip-${id}-meterR`);
+        this.meterStates.delete(`strip-${id}-meterL`);
+        this.meterStates.delete(`strip-${id}-meterR`);
         audio.removeStripContext(id);
         store.removeOutput(id);
-
-        store.data.inputs.forEach(i => {
-            const c = document.getElementById(`input-${i.id}-route`);
-            if (c) this.renderRoutingContainer(c, 'hardware', i.id);
-        });
-        if (this.el.dirRoute) this.renderRoutingContainer(this.el.dirRoute, 'direct', null);
     }
 
     renderOutputStrip(data) {
@@ -237,8 +638,17 @@ class UI {
             <div class="strip-header">A${data.id}</div>
             <button class="delete-strip-btn">×</button>
             <select class="device-select"></select>
-            
+            <select class="channel-select" title="Output channels"></select>
+            <div class="link-row">
+                <input type="text" class="link-path-input" placeholder="Socket / pipe path" value="" title="Receiver socket or named pipe path">
+                <div class="status-dot link-status"></div>
+            </div>
+
             <button class="eq-open-btn">EQ</button>
+            <div class="stereo-row">
+                <input type="range" class="pan-slider" min="-1" max="1" step="0.01" value="${data.stereo.pan}" title="Pan / Balance (double-click: center)">
+                <button class="comp-btn stereo-btn ${stereo.isActive(data.stereo) ? 'active' : ''}" title="Stereo Tools">ST</button>
+            </div>
 
             <div class="fx-section">
                 <div class="fx-row">
@@ -247,19 +657,18 @@ class UI {
                 </div>
                 <div class="fx-row">
                     <span class="fx-label">CMP</span>
-                    <button class="comp-btn ${data.compressor?.enabled ? 'active' : ''}">ACT</button>
-                    <input type="range" class="comp-thresh" min="-60" max="0" value="${data.compressor?.threshold || -24}" title="Threshold">
+                    <button class="comp-btn ${data.compressor.enabled ? 'active' : ''}">ACT</button>
+                    <button class="comp-btn comp-edit-btn" title="Compressor Editor">EDIT</button>
+                    <input type="range" class="comp-thresh" min="-60" max="0" step="0.5" value="${data.compressor.threshold}" title="Threshold">
                 </div>
             </div>
 
             <div class="fader-group">
-                <div class="meter-container-stereo">
-                    <div class="meter-container"><div class="meter-fill" id="strip-${data.id}-meterL"></div></div>
-                    <div class="meter-container"><div class="meter-fill" id="strip-${data.id}-meterR"></div></div>
-                </div>
+                ${this.meterMarkup(`strip-${data.id}`)}
                 <input type="range" class="fader-main" orient="vertical" min="0" max="1.5" step="0.01" value="${data.volume}">
             </div>
             <div class="db-display">0.0dB</div>
+            <div class="lufs-display" id="strip-${data.id}-lufs" title="Short-term / Integrated loudness (click to reset integrated)">S --.- I --.- LUFS</div>
             <button class="btn-mute">Mute</button>
         `;
 
@@ -269,39 +678,84 @@ class UI {
         const muteBtn = div.querySelector('.btn-mute');
         const delBtn = div.querySelector('.delete-strip-btn');
         const eqBtn = div.querySelector('.eq-open-btn');
+        const chSel = div.querySelector('.channel-select');
+        const linkPathInput = div.querySelector('.link-path-input');
+        const lufsDisp = div.querySelector('.lufs-display');
+        this.bindClipReset(div);
+        lufsDisp.onclick = () => audio.resetLoudness(data.id);
 
         const delayInput = div.querySelector('.delay-input');
         const compBtn = div.querySelector('.comp-btn');
         const compThresh = div.querySelector('.comp-thresh');
+        const compEditBtn = div.querySelector('.comp-edit-btn');
 
         this.updateDb(dbDisp, data.volume);
         this.updateMuteBtn(muteBtn, data.isMuted);
-        this.populateOutputDeviceSelect(sel, data.selectedDeviceId);
+        this.populateOutputDeviceSelect(sel, this.outputSelectValue(data));
+        this.populateChannelSelect(chSel, audio.getOutputChannelCount(data.id), data.channels, 'Out');
+        div.classList.toggle('link-output', data.type === 'link');
+        linkPathInput.value = data.linkPath;
+        linkPathInput.onchange = () => {
+            const path = linkPathInput.value.trim();
+            // 自分自身の受信パスへ送るとミックスがループする
+            if (path && path === ipc.socketPath) {
+                alert('This path is this router\'s own Direct Link receiver. Choose another receiver.');
+                linkPathInput.value = data.linkPath;
+                return;
+            }
+            store.checkpoint();
+            data.linkPath = path;
+            linkPathInput.value = path;
+            store.save();
+            audio.setStripDevice(data.id, data.selectedDeviceId);
+        };
+        chSel.onchange = () => {
+            store.checkpoint();
+            data.channels = this.parseChannels(chSel.value);
+            store.save();
+            audio.updateStripParams(data.id);
+        };
 
         eqBtn.onclick = () => this.openEqModal(data.id);
+        this.bindStereoRow(div, 'output', data);
 
         delBtn.onclick = () => this.removeOutput(data.id);
-        sel.onchange = () => { data.selectedDeviceId = sel.value; store.save(); audio.setStripDevice(data.id, sel.value); };
-        fader.oninput = (e) => { data.volume = parseFloat(e.target.value); this.updateDb(dbDisp, data.volume); audio.updateStripParams(data.id); };
-        fader.onchange = () => store.save();
-        muteBtn.onclick = () => { data.isMuted = !data.isMuted; this.updateMuteBtn(muteBtn, data.isMuted); audio.updateStripParams(data.id); store.save(); };
+        sel.onchange = () => {
+            store.checkpoint();
+            if (sel.value === LINK_DEVICE_VALUE) {
+                data.type = 'link';
+            } else {
+                data.type = 'device';
+                data.selectedDeviceId = sel.value;
+            }
+            div.classList.toggle('link-output', data.type === 'link');
+            store.save();
+            audio.setStripDevice(data.id, data.selectedDeviceId);
+        };
+        fader.oninput = (e) => store.setVolume('output', data.id, parseFloat(e.target.value));
+        fader.onchange = () => store.commit();
+        muteBtn.onclick = () => store.setMuted('output', data.id, !data.isMuted);
 
         delayInput.onchange = (e) => {
             let val = parseInt(e.target.value); if (val < 0) val = 0;
+            store.checkpoint();
             data.delayMs = val; audio.updateStripParams(data.id); store.save();
         };
         compBtn.onclick = () => {
-            if (!data.compressor) data.compressor = { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 };
+            store.checkpoint();
             data.compressor.enabled = !data.compressor.enabled;
             compBtn.classList.toggle('active', data.compressor.enabled);
             audio.updateStripParams(data.id); store.save();
+            this.renderCompModalContent();
         };
         compThresh.oninput = (e) => {
-            if (!data.compressor) data.compressor = { enabled: true, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 };
+            store.checkpoint(`output-${data.id}-comp-threshold`);
             data.compressor.threshold = parseFloat(e.target.value);
             audio.updateStripParams(data.id);
+            this.renderCompModalContent();
         };
-        compThresh.onchange = () => store.save();
+        compEditBtn.onclick = () => this.openCompModal(data.id);
+        compThresh.onchange = () => store.commit();
 
         this.el.outputsContainer.appendChild(div);
     }
@@ -312,23 +766,74 @@ class UI {
         const data = store.data.outputs.find(o => o.id === outputId);
         if (!data) return;
 
-        this.el.eqModalTitle.textContent = `Graphic EQ - Output A${outputId}`;
         this.el.eqModalOverlay.style.display = 'flex';
         this.renderEqModalContent(data);
+        if (this.eqGraph) this.eqGraph.start(data);
     }
 
     closeEqModal() {
         this.el.eqModalOverlay.style.display = 'none';
         this.currentEqOutputId = null;
+        if (this.eqGraph) this.eqGraph.stop();
+    }
+
+    // グラフ上のドラッグでバンドが変わった (フェーダー/入力欄の表示だけ合わせる)
+    onEqGraphChange(index) {
+        const data = store.data.outputs.find(o => o.id === this.currentEqOutputId);
+        if (!data) return;
+        audio.updateStripParams(data.id);
+
+        const band = data.eq.bands[index];
+        if (data.eq.mode === 'graphic') {
+            const col = this.el.eqSlidersContainer.children[index];
+            if (!col) return;
+            col.querySelector('.eq-fader').value = band.gain;
+            col.querySelector('.eq-val-label').textContent = `${band.gain > 0 ? '+' : ''}${band.gain.toFixed(1)}`;
+        } else {
+            const row = this.el.eqBandsContainer.children[index];
+            if (!row) return;
+            ['frequency', 'q', 'gain'].forEach(key => {
+                const input = row.querySelector(`input[data-key="${key}"]`);
+                if (input) input.value = band[key];
+            });
+        }
+    }
+
+    setEqMode(mode) {
+        const data = store.data.outputs.find(o => o.id === this.currentEqOutputId);
+        if (!data || data.eq.mode === mode) return;
+        // パラメトリック -> グラフィックは固定の10バンドに戻す (同じ配置ならゲインを引き継ぐ)
+        const keepBands = mode === 'parametric' || eq.isGraphicLayout(data.eq.bands);
+        if (!keepBands && !confirm('Switching to Graphic EQ resets the parametric bands. Continue?')) return;
+
+        store.checkpoint();
+        data.eq.mode = mode;
+        if (!keepBands) data.eq.bands = eq.graphicBands();
+        audio.updateStripParams(data.id);
+        store.save();
+        this.renderEqModalContent(data);
     }
 
     renderEqModalContent(data) {
+        const isGraphic = data.eq.mode === 'graphic';
+        this.el.eqModalTitle.textContent = `${isGraphic ? 'Graphic' : 'Parametric'} EQ - Output A${data.id}`;
+        this.el.eqModeGraphicBtn.classList.toggle('active', isGraphic);
+        this.el.eqModeParametricBtn.classList.toggle('active', !isGraphic);
+        this.el.eqSlidersContainer.style.display = isGraphic ? 'flex' : 'none';
+        this.el.eqBandsContainer.style.display = isGraphic ? 'none' : 'flex';
+        this.el.eqAddBandBtn.style.display = isGraphic ? 'none' : '';
+        this.el.eqAddBandBtn.disabled = data.eq.bands.length >= eq.MAX_BANDS;
+
+        if (isGraphic) this.renderGraphicEq(data);
+        else this.renderParametricEq(data);
+    }
+
+    renderGraphicEq(data) {
         this.el.eqSlidersContainer.innerHTML = '';
-        const freqs = store.eqFrequencies;
 
-        freqs.forEach((freq, i) => {
-            const val = data.eqGains[i] || 0;
-            const label = freq >= 1000 ? `${freq / 1000}K` : freq;
+        data.eq.bands.forEach((band, i) => {
+            const val = band.gain;
+            const label = band.frequency >= 1000 ? `${band.frequency / 1000}K` : band.frequency;
 
             const col = document.createElement('div');
             col.className = 'eq-band-col';
@@ -343,17 +848,679 @@ class UI {
 
             fader.oninput = (e) => {
                 const newVal = parseFloat(e.target.value);
-                data.eqGains[i] = newVal;
+                store.checkpoint(`output-${data.id}-eq-${i}`);
+                band.gain = newVal;
                 valDisp.textContent = `${newVal > 0 ? '+' : ''}${newVal.toFixed(1)}`;
 
                 audio.updateStripParams(data.id);
             };
-            fader.onchange = () => store.save();
+            fader.onchange = () => store.commit();
 
             this.el.eqSlidersContainer.appendChild(col);
         });
     }
 
+    renderParametricEq(data) {
+        const container = this.el.eqBandsContainer;
+        container.innerHTML = '';
+        if (data.eq.bands.length === 0) {
+            container.innerHTML = '<div class="eq-band-empty">No bands. Use "+ Band" to add one.</div>';
+            return;
+        }
+
+        data.eq.bands.forEach((band, i) => {
+            const row = document.createElement('div');
+            row.className = 'eq-band-row';
+            row.innerHTML = `
+                <span class="eq-band-index">${i + 1}</span>
+                <select class="eq-band-type">
+                    ${eq.BAND_TYPES.map(t => `<option value="${t}">${eq.BAND_TYPE_LABELS[t]}</option>`).join('')}
+                </select>
+                <label class="eq-band-field">Freq
+                    <input type="number" data-key="frequency" min="${eq.LIMITS.frequency.min}" max="${eq.LIMITS.frequency.max}" step="1" value="${band.frequency}">Hz
+                </label>
+                <label class="eq-band-field">Q
+                    <input type="number" data-key="q" min="${eq.LIMITS.q.min}" max="${eq.LIMITS.q.max}" step="0.1" value="${band.q}">
+                </label>
+                <label class="eq-band-field">Gain
+                    <input type="number" data-key="gain" min="${eq.LIMITS.gain.min}" max="${eq.LIMITS.gain.max}" step="0.5" value="${band.gain}">dB
+                </label>
+                <button class="eq-band-remove" title="Remove band">×</button>
+            `;
+
+            const typeSel = row.querySelector('.eq-band-type');
+            const qInput = row.querySelector('input[data-key="q"]');
+            const gainInput = row.querySelector('input[data-key="gain"]');
+            const updateEnabled = () => {
+                qInput.disabled = !eq.usesQ(band.type);
+                gainInput.disabled = !eq.usesGain(band.type);
+            };
+            typeSel.value = band.type;
+            updateEnabled();
+
+            typeSel.onchange = () => {
+                store.checkpoint();
+                band.type = typeSel.value;
+                updateEnabled();
+                audio.updateStripParams(data.id);
+                store.save();
+            };
+
+            row.querySelectorAll('input[type="number"]').forEach(input => {
+                const key = input.dataset.key;
+                input.oninput = () => {
+                    const val = parseFloat(input.value);
+                    if (!Number.isFinite(val)) return;
+                    store.checkpoint(`output-${data.id}-eq-${i}-${key}`);
+                    band[key] = Math.min(eq.LIMITS[key].max, Math.max(eq.LIMITS[key].min, val));
+                    audio.updateStripParams(data.id);
+                };
+                input.onchange = () => {
+                    input.value = band[key];
+                    store.commit();
+                };
+            });
+
+            row.querySelector('.eq-band-remove').onclick = () => {
+                store.checkpoint();
+                data.eq.bands.splice(i, 1);
+                audio.updateStripParams(data.id);
+                store.save();
+                this.renderEqModalContent(data);
+            };
+
+            container.appendChild(row);
+        });
+    }
+
+    // --- Compressor Editor ---
+    openCompModal(outputId) {
+        if (!store.data.outputs.some(o => o.id === outputId)) return;
+        this.currentCompOutputId = outputId;
+        this.el.compModalTitle.textContent = `Compressor - Output A${outputId}`;
+        this.el.compModalOverlay.style.display = 'flex';
+        this.renderCompModalContent();
+    }
+
+    closeCompModal() {
+        this.el.compModalOverlay.style.display = 'none';
+        this.currentCompOutputId = null;
+    }
+
+    // モーダルが開いていなければ何もしない (ストリップ側の操作からも呼ばれる)
+    renderCompModalContent() {
+        const data = store.data.outputs.find(o => o.id === this.currentCompOutputId);
+        if (!data) return;
+        const settings = data.compressor;
+        this.el.compEnableBtn.classList.toggle('active', settings.enabled);
+        this.el.compParamsContainer.innerHTML = '';
+
+        COMP_PARAMS.forEach(param => {
+            const row = this.createParamRow(param, settings[param.key], (value) => {
+                store.checkpoint(`output-${data.id}-comp-${param.key}`);
+                const limit = compressor.LIMITS[param.key];
+                settings[param.key] = Math.min(limit.max, Math.max(limit.min, value));
+                audio.updateStripParams(data.id);
+                this.syncCompressorStrip(data);
+                return settings[param.key];
+            });
+            this.el.compParamsContainer.appendChild(row);
+        });
+    }
+
+    /**
+     * モーダル用のスライダー行
+     * @param {object} param { label, min, max, step, unit, scale, digits } (scale: 保存値 -> 表示値の倍率)
+     * @param {function(number): number} onInput 保存単位の値を受け取り、適用後の値を返す
+     */
+    createParamRow(param, value, onInput) {
+        const row = document.createElement('div');
+        row.className = 'comp-param-row';
+        row.innerHTML = `
+            <span class="comp-param-label">${param.label}</span>
+            <input type="range" class="comp-param-slider" min="${param.min}" max="${param.max}" step="${param.step}">
+            <span class="comp-param-value"></span>
+        `;
+        const slider = row.querySelector('.comp-param-slider');
+        const valDisp = row.querySelector('.comp-param-value');
+        const show = (v) => { valDisp.textContent = `${(v * param.scale).toFixed(param.digits)}${param.unit}`; };
+        slider.value = value * param.scale;
+        show(value);
+
+        slider.oninput = () => show(onInput(parseFloat(slider.value) / param.scale));
+        slider.onchange = () => store.commit();
+        return row;
+    }
+
+    // Store の音量/ミュートの変更をストリップの表示とエンジンへ反映する (ドラッグ中のフェーダー自身も含む)
+    syncStrip(kind, id) {
+        const data = store.getStrip(kind, id);
+        const stripId = { input: `input-strip-${id}`, direct: `direct-strip-${id}`, output: `strip-${id}` }[kind];
+        const div = document.getElementById(stripId);
+        if (data && div) {
+            const fader = div.querySelector('.fader-main');
+            if (parseFloat(fader.value) !== data.volume) fader.value = data.volume;
+            this.updateDb(div.querySelector('.db-display'), data.volume);
+            const muteBtn = div.querySelector('.btn-mute');
+            if (muteBtn) this.updateMuteBtn(muteBtn, data.isMuted);
+        }
+        if (kind === 'output') audio.updateStripParams(id);
+        else audio.updateAllGains();
+    }
+
+    // EQ/コンプレッサーの設定が置き換わった (プリセット、リモートAPI)
+    syncOutputProcessing(id) {
+        const data = store.getStrip('output', id);
+        if (!data) return;
+        audio.updateStripParams(id);
+        this.syncCompressorStrip(data);
+        if (this.currentCompOutputId === id) this.renderCompModalContent();
+        if (this.currentEqOutputId === id) {
+            this.renderEqModalContent(data);
+            if (this.eqGraph) this.eqGraph.start(data);
+        }
+    }
+
+    // モーダル内の1回の操作 (ON/OFF・プリセット・リセット)
+    editCompressor(fn) {
+        const data = store.data.outputs.find(o => o.id === this.currentCompOutputId);
+        if (!data) return;
+        store.checkpoint();
+        fn(data.compressor);
+        audio.updateStripParams(data.id);
+        store.save();
+        this.syncCompressorStrip(data);
+        this.renderCompModalContent();
+    }
+
+    syncCompressorStrip(data) {
+        const strip = document.getElementById(`strip-${data.id}`);
+        if (!strip) return;
+        strip.querySelector('.comp-btn').classList.toggle('active', data.compressor.enabled);
+        strip.querySelector('.comp-thresh').value = data.compressor.threshold;
+    }
+
+    updateCompReductionMeter() {
+        const reduction = audio.isRunning ? audio.getCompressorReduction(this.currentCompOutputId) : 0;
+        const percent = Math.min(1, Math.max(0, -reduction / COMP_GR_RANGE)) * 100;
+        this.el.compGrFill.style.width = `${percent}%`;
+        this.el.compGrValue.textContent = `${reduction < -0.05 ? reduction.toFixed(1) : '0.0'}dB`;
+    }
+
+    // --- Input Processing Editor ---
+    openInputModal(inputId) {
+        if (!store.data.inputs.some(i => i.id === inputId)) return;
+        this.currentProcInputId = inputId;
+        this.el.inputModalTitle.textContent = `Input Processing - IN ${inputId}`;
+        this.el.inputModalOverlay.style.display = 'flex';
+        this.renderInputModalContent();
+    }
+
+    closeInputModal() {
+        this.el.inputModalOverlay.style.display = 'none';
+        this.currentProcInputId = null;
+    }
+
+    renderInputModalContent() {
+        const data = store.data.inputs.find(i => i.id === this.currentProcInputId);
+        if (!data) return;
+        const container = this.el.inputProcContainer;
+        const processing = data.processing;
+        container.innerHTML = '';
+
+        const polarityRow = document.createElement('div');
+        polarityRow.className = 'proc-section-header';
+        polarityRow.innerHTML = `<span>Polarity</span><button class="comp-btn ${processing.polarity ? 'active' : ''}">Ø INVERT</button>`;
+        polarityRow.querySelector('button').onclick = () => {
+            this.editInputProcessing(d => { d.processing.polarity = !d.processing.polarity; });
+        };
+        container.appendChild(polarityRow);
+
+        INPUT_SECTIONS.forEach(section => {
+            const values = processing[section.key];
+            const header = document.createElement('div');
+            header.className = 'proc-section-header';
+            header.innerHTML = `<span>${section.label}</span>`;
+            if (section.toggle) {
+                const btn = document.createElement('button');
+                btn.className = `comp-btn ${values.enabled ? 'active' : ''}`;
+                btn.textContent = 'ACT';
+                btn.onclick = () => {
+                    this.editInputProcessing(d => { d.processing[section.key].enabled = !d.processing[section.key].enabled; });
+                };
+                header.appendChild(btn);
+            }
+            container.appendChild(header);
+
+            section.params.forEach(param => {
+                const row = this.createParamRow(param, values[param.key], (value) => {
+                    store.checkpoint(`input-${data.id}-${section.key}-${param.key}`);
+                    const limit = inputChain.LIMITS[section.key][param.key];
+                    values[param.key] = Math.min(limit.max, Math.max(limit.min, value));
+                    audio.updateInputParams(data.id);
+                    this.syncInputStrip(data);
+                    return values[param.key];
+                });
+                container.appendChild(row);
+            });
+        });
+    }
+
+    // モーダル内の1回の操作 (ON/OFF・リセット)
+    editInputProcessing(fn) {
+        const data = store.data.inputs.find(i => i.id === this.currentProcInputId);
+        if (!data) return;
+        store.checkpoint();
+        fn(data);
+        audio.updateInputParams(data.id);
+        store.save();
+        this.syncInputStrip(data);
+        this.renderInputModalContent();
+    }
+
+    syncInputStrip(data) {
+        const strip = document.getElementById(`input-strip-${data.id}`);
+        if (strip) strip.querySelector('.proc-open-btn').classList.toggle('active', inputChain.isActive(data.processing));
+    }
+
+    // --- Stereo Tools ---
+    getStereoData(target) {
+        if (!target) return null;
+        const list = target.kind === 'input' ? store.data.inputs : store.data.outputs;
+        return list.find(s => s.id === target.id) || null;
+    }
+
+    applyStereo(kind, data) {
+        if (kind === 'input') audio.updateInputParams(data.id);
+        else audio.updateStripParams(data.id);
+    }
+
+    // ストリップ上のパンスライダーと ST ボタン
+    bindStereoRow(div, kind, data) {
+        const panSlider = div.querySelector('.pan-slider');
+        panSlider.oninput = () => {
+            store.checkpoint(`${kind}-${data.id}-pan`);
+            data.stereo.pan = parseFloat(panSlider.value);
+            this.applyStereo(kind, data);
+            this.syncStereoStrip(kind, data);
+            if (this.isStereoTarget(kind, data.id)) this.renderStereoModalContent();
+        };
+        panSlider.onchange = () => store.commit();
+        panSlider.ondblclick = () => {
+            store.checkpoint();
+            data.stereo.pan = 0;
+            this.applyStereo(kind, data);
+            store.save();
+            this.syncStereoStrip(kind, data);
+            if (this.isStereoTarget(kind, data.id)) this.renderStereoModalContent();
+        };
+        div.querySelector('.stereo-btn').onclick = () => this.openStereoModal(kind, data.id);
+    }
+
+    isStereoTarget(kind, id) {
+        return this.currentStereoTarget !== null && this.currentStereoTarget.kind === kind && this.currentStereoTarget.id === id;
+    }
+
+    openStereoModal(kind, id) {
+        this.currentStereoTarget = { kind: kind, id: id };
+        if (!this.getStereoData(this.currentStereoTarget)) {
+            this.currentStereoTarget = null;
+            return;
+        }
+        this.el.stereoModalTitle.textContent = `Stereo Tools - ${kind === 'input' ? `IN ${id}` : `A${id}`}`;
+        this.el.stereoModalOverlay.style.display = 'flex';
+        this.renderStereoModalContent();
+    }
+
+    closeStereoModal() {
+        this.el.stereoModalOverlay.style.display = 'none';
+        this.currentStereoTarget = null;
+    }
+
+    renderStereoModalContent() {
+        const target = this.currentStereoTarget;
+        const data = this.getStereoData(target);
+        if (!data) return;
+        const container = this.el.stereoContainer;
+        container.innerHTML = '';
+
+        const toggles = document.createElement('div');
+        toggles.className = 'stereo-toggles';
+        STEREO_TOGGLES.forEach(toggle => {
+            const btn = document.createElement('button');
+            btn.className = `comp-btn ${data.stereo[toggle.key] ? 'active' : ''}`;
+            btn.textContent = toggle.label;
+            btn.onclick = () => this.editStereo(d => { d.stereo[toggle.key] = !d.stereo[toggle.key]; });
+            toggles.appendChild(btn);
+        });
+        container.appendChild(toggles);
+
+        STEREO_PARAMS.forEach(param => {
+            const row = this.createParamRow(param, data.stereo[param.key], (value) => {
+                store.checkpoint(`${target.kind}-${data.id}-${param.key}`);
+                const limit = stereo.LIMITS[param.key];
+                data.stereo[param.key] = Math.min(limit.max, Math.max(limit.min, value));
+                this.applyStereo(target.kind, data);
+                this.syncStereoStrip(target.kind, data);
+                return data.stereo[param.key];
+            });
+            container.appendChild(row);
+        });
+    }
+
+    // モーダル内の1回の操作 (トグル・リセット)
+    editStereo(fn) {
+        const target = this.currentStereoTarget;
+        const data = this.getStereoData(target);
+        if (!data) return;
+        store.checkpoint();
+        fn(data);
+        this.applyStereo(target.kind, data);
+        store.save();
+        this.syncStereoStrip(target.kind, data);
+        this.renderStereoModalContent();
+    }
+
+    syncStereoStrip(kind, data) {
+        const strip = document.getElementById(kind === 'input' ? `input-strip-${data.id}` : `strip-${data.id}`);
+        if (!strip) return;
+        strip.querySelector('.pan-slider').value = data.stereo.pan;
+        strip.querySelector('.stereo-btn').classList.toggle('active', stereo.isActive(data.stereo));
+    }
+
+    // --- Scene Management ---
+    saveScene() {
+        const name = this.el.sceneNameInput.value.trim();
+        if (!name) {
+            this.el.sceneNameInput.focus();
+            return;
+        }
+        if (store.data.scenes.some(s => s.name === name) && !confirm(`Overwrite scene "${name}"?`)) return;
+        this.activeSceneId = store.saveScene(name);
+        this.el.sceneNameInput.value = '';
+        this.renderSceneButtons();
+    }
+
+    removeScene(id) {
+        const scene = store.data.scenes.find(s => s.id === id);
+        if (!scene || !confirm(`Remove scene "${scene.name}"?`)) return;
+        store.removeScene(id);
+        if (this.activeSceneId === id) this.activeSceneId = null;
+        this.renderSceneButtons();
+    }
+
+    async recallScene(id) {
+        const result = store.recallScene(id);
+        if (!result) return;
+        this.activeSceneId = id;
+        this.renderSceneButtons();
+        await this.applyStoreChange(result, store.data.sceneFade);
+    }
+
+    // --- Undo / Redo ---
+    async undo() {
+        const result = store.undo();
+        if (result) await this.applyStoreChange(result, 0);
+    }
+
+    async redo() {
+        const result = store.redo();
+        if (result) await this.applyStoreChange(result, 0);
+    }
+
+    /**
+     * Store.applySnapshot() でミキサー設定が入れ替わった後、UIとエンジンを同期する
+     * @param {{restart: boolean, deviceChanged: number[]}} result
+     * @param {number} fade ゲイン類をフェードさせる時間 (秒)
+     */
+    async applyStoreChange(result, fade) {
+        this.renderAll();
+
+        if (!audio.isRunning) return;
+        if (result.restart) {
+            // ストリップ構成が変わる場合はフェードできないため作り直す
+            audio.stop();
+            await audio.start();
+            this.updateStartBtn(true);
+            return;
+        }
+        audio.updateAllGains(fade);
+        store.data.inputs.forEach(i => audio.updateInputParams(i.id, fade));
+        store.data.outputs.forEach(o => audio.updateStripParams(o.id, fade));
+        result.deviceChanged.forEach(outputId => {
+            const out = store.data.outputs.find(o => o.id === outputId);
+            if (out) audio.setStripDevice(out.id, out.selectedDeviceId);
+        });
+    }
+
+    renderSceneButtons() {
+        const container = this.el.sceneButtonsContainer;
+        if (!container) return;
+        container.innerHTML = '';
+        store.data.scenes.forEach(scene => {
+            const btn = document.createElement('div');
+            btn.className = `scene-btn ${scene.id === this.activeSceneId ? 'active' : ''}`;
+            btn.innerHTML = `<span class="scene-name"></span><span class="scene-delete-btn" title="Remove scene">×</span>`;
+            btn.querySelector('.scene-name').textContent = scene.name;
+            btn.onclick = () => this.recallScene(scene.id);
+            btn.querySelector('.scene-delete-btn').onclick = (e) => {
+                e.stopPropagation();
+                this.removeScene(scene.id);
+            };
+            container.appendChild(btn);
+        });
+    }
+
+    // Storeの内容が丸ごと入れ替わった後に全ストリップを描き直す
+    renderAll() {
+        this.el.inputsContainer.innerHTML = '';
+        this.el.directsContainer.innerHTML = '';
+        this.el.outputsContainer.innerHTML = '';
+        this.meterStates.clear();
+
+        store.data.inputs.forEach(inData => this.renderInputStrip(inData));
+        store.data.directs.forEach(dirData => this.renderDirectStrip(dirData));
+        store.data.outputs.forEach(outData => this.renderOutputStrip(outData));
+
+        if (this.el.dirBufferSlider) {
+            this.el.dirBufferSlider.value = store.data.directBuffer;
+            if (this.el.dirBufferVal) this.el.dirBufferVal.textContent = store.data.directBuffer.toFixed(3);
+        }
+        if (this.currentEqOutputId !== null) {
+            const data = store.data.outputs.find(o => o.id === this.currentEqOutputId);
+            if (data) {
+                this.renderEqModalContent(data);
+                if (this.eqGraph) this.eqGraph.start(data);
+            } else {
+                this.closeEqModal();
+            }
+        }
+        if (this.currentCompOutputId !== null) {
+            if (store.data.outputs.some(o => o.id === this.currentCompOutputId)) this.renderCompModalContent();
+            else this.closeCompModal();
+        }
+        if (this.isMatrixOpen) this.renderRoutingMatrix();
+        if (this.currentStereoTarget !== null) {
+            if (this.getStereoData(this.currentStereoTarget)) this.renderStereoModalContent();
+            else this.closeStereoModal();
+        }
+        if (this.currentProcInputId !== null) {
+            if (store.data.inputs.some(i => i.id === this.currentProcInputId)) this.renderInputModalContent();
+            else this.closeInputModal();
+        }
+    }
+
+    openLinkModal() {
+        const link = store.data.directLink;
+        this.el.linkTcpEnabled.checked = link.tcpEnabled;
+        this.el.linkTcpHost.value = link.tcpHost;
+        this.el.linkTcpPort.value = link.tcpPort;
+        this.el.linkToken.value = link.token;
+        this.el.linkModalOverlay.style.display = 'flex';
+    }
+
+    closeLinkModal() {
+        this.el.linkModalOverlay.style.display = 'none';
+    }
+
+    applyLinkSettings() {
+        const port = parseInt(this.el.linkTcpPort.value);
+        if (!(port >= 1 && port <= 65535)) {
+            alert('Port must be between 1 and 65535.');
+            return;
+        }
+        const link = {
+            tcpEnabled: this.el.linkTcpEnabled.checked,
+            tcpHost: this.el.linkTcpHost.value.trim() || '127.0.0.1',
+            tcpPort: port,
+            token: this.el.linkToken.value.trim()
+        };
+        const error = link.tcpEnabled ? ipc.checkTcpSettings(link) : null;
+        if (error) {
+            alert(`${error}.`);
+            return;
+        }
+        store.data.directLink = link;
+        store.save();
+        ipc.startTcp();
+        this.closeLinkModal();
+    }
+
+    openRemoteModal() {
+        const settings = store.data.remoteControl;
+        this.el.remoteEnabled.checked = settings.enabled;
+        this.el.remotePort.value = settings.port;
+        this.el.remoteToken.value = settings.token;
+        this.updateRemoteStatus(remote.status);
+        this.el.remoteModalOverlay.style.display = 'flex';
+    }
+
+    closeRemoteModal() {
+        this.el.remoteModalOverlay.style.display = 'none';
+    }
+
+    applyRemoteSettings() {
+        const port = parseInt(this.el.remotePort.value);
+        if (!(port >= 1 && port <= 65535)) {
+            alert('Port must be between 1 and 65535.');
+            return;
+        }
+        store.data.remoteControl = {
+            enabled: this.el.remoteEnabled.checked,
+            port: port,
+            token: this.el.remoteToken.value.trim()
+        };
+        store.save();
+        remote.configure();
+    }
+
+    // control-server.js の待ち受け状態 (ポート使用中などのエラーもここに出す)
+    updateRemoteStatus(status) {
+        const el = this.el.remoteStatus;
+        if (!el) return;
+        if (status.error) el.textContent = `Error: ${status.error}`;
+        else if (status.listening) el.textContent = `Listening on http://127.0.0.1:${status.port} (WebSocket: ws://127.0.0.1:${status.port}/)`;
+        else el.textContent = 'Stopped';
+        el.classList.toggle('error', !!status.error);
+    }
+
+    openOscModal() {
+        const settings = store.data.osc;
+        this.el.oscEnabled.checked = settings.enabled;
+        this.el.oscHost.value = settings.host;
+        this.el.oscPort.value = settings.port;
+        this.el.oscFeedbackPort.value = settings.feedbackPort;
+        this.el.oscToken.value = settings.token;
+        this.updateOscStatus(osc.status);
+        this.el.oscModalOverlay.style.display = 'flex';
+    }
+
+    closeOscModal() {
+        this.el.oscModalOverlay.style.display = 'none';
+    }
+
+    applyOscSettings() {
+        const port = parseInt(this.el.oscPort.value);
+        const feedbackPort = parseInt(this.el.oscFeedbackPort.value) || 0;
+        if (!(port >= 1 && port <= 65535) || !(feedbackPort >= 0 && feedbackPort <= 65535)) {
+            alert('Port must be between 1 and 65535 (Feedback Port: 0 to reply to the sender\'s port).');
+            return;
+        }
+        const settings = {
+            enabled: this.el.oscEnabled.checked,
+            host: this.el.oscHost.value.trim() || '127.0.0.1',
+            port: port,
+            feedbackPort: feedbackPort,
+            token: this.el.oscToken.value.trim()
+        };
+        const error = settings.enabled ? osc.checkSettings(settings) : null;
+        if (error) {
+            alert(`${error}.`);
+            return;
+        }
+        store.data.osc = settings;
+        store.save();
+        osc.restart();
+    }
+
+    updateOscStatus(status) {
+        const el = this.el.oscStatus;
+        if (!el) return;
+        if (status.error) el.textContent = `Error: ${status.error}`;
+        else if (status.listening) el.textContent = `Listening on ${status.host}:${status.port} (${status.clients} client${status.clients === 1 ? '' : 's'})`;
+        else el.textContent = 'Stopped';
+        el.classList.toggle('error', !!status.error);
+    }
+
+    // 保存済みの設定を読み込めず既定の構成で起動した (元の設定は Store が退避済み)
+    showLoadError(message) {
+        alert(`Saved settings could not be loaded and were not applied:\n${message}\n\n` +
+            'The mixer started with default settings. The original settings were kept in "uxAudioRouterSettings.rejected" ' +
+            'and are replaced in the main slot as soon as you change something.');
+    }
+
+    // --- Config Export / Import ---
+    async exportConfig() {
+        const filePath = await ipcRenderer.invoke('config-export-dialog');
+        if (!filePath) return;
+        try {
+            fs.writeFileSync(filePath, store.exportConfig());
+        } catch (e) {
+            alert(`Export failed: ${e.message}`);
+        }
+    }
+
+    async importConfig() {
+        const filePath = await ipcRenderer.invoke('config-import-dialog');
+        if (!filePath) return;
+        let warnings;
+        try {
+            const connected = store.data.directs.filter(d => ipc.isSlotConnected(d.id)).map(d => d.id);
+            warnings = store.importConfig(fs.readFileSync(filePath, 'utf8'), connected);
+        } catch (e) {
+            alert(`Import failed: ${e.message}`);
+            return;
+        }
+        if (warnings.length > 0) {
+            const shown = warnings.slice(0, 10).join('\n');
+            alert(`Imported with ${warnings.length} repaired value(s):\n${shown}${warnings.length > 10 ? '\n...' : ''}`);
+        }
+
+        this.activeSceneId = null;
+        this.renderAll();
+        this.renderSceneButtons();
+        if (this.el.sceneFadeInput) this.el.sceneFadeInput.value = store.data.sceneFade;
+        if (this.el.resamplerSelect) this.el.resamplerSelect.value = store.data.resamplerQuality;
+        ipc.startTcp();
+        remote.configure();
+        osc.restart();
+        if (audio.isRunning) {
+            audio.stop();
+            await audio.start();
+            this.updateStartBtn(true);
+        }
+    }
+
     // --- Helpers ---
     async refreshDeviceList() {
         try {
@@ -393,7 +1560,7 @@ class UI {
             outputSelects.forEach(sel => {
                 const stripId = parseInt(sel.closest('.strip').id.replace('strip-', ''));
                 const data = store.data.outputs.find(o => o.id === stripId);
-                this.populateOutputDeviceSelect(sel, data ? data.selectedDeviceId : '');
+                this.populateOutputDeviceSelect(sel, data ? this.outputSelectValue(data) : '');
             });
 
             // 3. Audio Engine Action
@@ -440,22 +1607,454 @@ class UI {
             opt.text = d.label || `Output ${d.deviceId.slice(0, 4)}`;
             select.appendChild(opt);
         });
+        select.add(new Option('UX Direct Audio Link (send)', LINK_DEVICE_VALUE));
         if (currentVal) select.value = currentVal;
     }
 
-    renderRoutingContainer(container, type, inputId) {
+    outputSelectValue(data) {
+        return data.type === 'link' ? LINK_DEVICE_VALUE : data.selectedDeviceId;
+    }
+
+    updateLinkStatus(outputId) {
+        const dot = document.querySelector(`#strip-${outputId} .link-status`);
+        if (!dot) return;
+        const status = audio.getLinkStatus(outputId);
+        dot.classList.toggle('connected', !!status && status.state === 'connected');
+        dot.classList.toggle('connecting', !!status && status.state === 'connecting');
+        if (!status) dot.title = 'Stopped';
+        else if (status.state === 'connected') dot.title = `Sending to ${status.path}${status.droppedFrames > 0 ? ` (dropped ${status.droppedFrames} frames)` : ''}`;
+        else if (status.state === 'connecting') dot.title = `Waiting for receiver${status.error ? `: ${status.error}` : ''}`;
+        else dot.title = status.error || 'No path set';
+    }
+
+    /**
+     * ch選択 ("In 1/2", "In 3" ...)
+     * @param {number} count デバイスのch数 (まだ開いていなければ 0)
+     */
+    populateChannelSelect(select, count, current, prefix) {
+        if (!select) return;
+        select.innerHTML = '';
+        const available = Math.max(count || 2, channels.requiredCount(current));
+        channels.options(available).forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = channels.key(option);
+            opt.text = channels.label(option, prefix);
+            if (option.some(c => count && c >= count)) opt.text += ' (N/A)';
+            select.appendChild(opt);
+        });
+        select.value = channels.key(current);
+    }
+
+    parseChannels(value) {
+        return value.split(',').map(c => parseInt(c));
+    }
+
+    refreshChannelSelects() {
+        store.data.inputs.forEach(i => {
+            const strip = document.getElementById(`input-strip-${i.id}`);
+            if (strip) this.populateChannelSelect(strip.querySelector('.channel-select'), audio.getInputChannelCount(i.deviceId), i.channels, 'In');
+        });
+        store.data.outputs.forEach(o => {
+            const strip = document.getElementById(`strip-${o.id}`);
+            if (strip) this.populateChannelSelect(strip.querySelector('.channel-select'), audio.getOutputChannelCount(o.id), o.channels, 'Out');
+        });
+    }
+
+    renderRoutingContainer(container, type, sourceId) {
         if (!container) return;
         container.innerHTML = '';
         store.data.outputs.forEach(out => {
             const btn = document.createElement('div');
-            const isRouted = store.isRouted(type, inputId, out.id);
-            btn.className = `route-btn ${isRouted ? 'active' : ''}`;
+            const send = store.getSend(type, sourceId, out.id);
+            btn.className = `route-btn ${send ? 'active' : ''} ${send && send.preFader ? 'pre' : ''}`;
             btn.textContent = `A${out.id}`;
-            btn.onclick = () => { store.toggleRouting(type, inputId, out.id); };
+            if (send) {
+                btn.style.setProperty('--send-level', `${this.sendLevelRatio(send.level) * 100}%`);
+                btn.title = `A${out.id}: ${this.formatSendLevel(send)}\nDrag: level / Right-click: pre/post fader`;
+            }
+            this.attachSendControl(btn, type, sourceId, out.id);
             container.appendChild(btn);
         });
     }
 
+    // クリックでON/OFF、縦ドラッグでセンドレベル (dB)、右クリックでプリ/ポストフェーダーを切り替える
+    attachSendControl(el, type, sourceId, outputId) {
+        el.dataset.send = `${type}-${sourceId}-${outputId}`;
+        el.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            const startY = e.clientY;
+            const startSend = store.getSend(type, sourceId, outputId);
+            const startDb = startSend ? Math.max(sends.MIN_DB, sends.levelToDb(startSend.level)) : null;
+            let dragging = false;
+
+            const onMove = (ev) => {
+                if (startDb === null) return;
+                if (!dragging && Math.abs(ev.clientY - startY) < SEND_DRAG_THRESHOLD) return;
+                dragging = true;
+                const db = startDb + (startY - ev.clientY) * SEND_DRAG_DB_PER_PX;
+                store.setSendLevel(type, sourceId, outputId, sends.dbToLevel(db));
+            };
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+                if (dragging) store.commit();
+                else store.toggleRouting(type, sourceId, outputId);
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+        el.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const send = store.getSend(type, sourceId, outputId);
+            if (send) store.setSendPreFader(type, sourceId, outputId, !send.preFader);
+        });
+    }
+
+    // センドレベルだけが変わった時は作り直さず、ルートボタンとマトリクスのセルの表示を更新する
+    updateSendControls(type, sourceId, outputId) {
+        const send = store.getSend(type, sourceId, outputId);
+        if (!send) return;
+        const db = sends.levelToDb(send.level);
+        document.querySelectorAll(`[data-send="${type}-${sourceId}-${outputId}"]`).forEach(el => {
+            el.style.setProperty('--send-level', `${this.sendLevelRatio(send.level) * 100}%`);
+            const levelEl = el.querySelector('.matrix-level');
+            if (levelEl) {
+                levelEl.textContent = db === -Infinity ? '-Inf' : db.toFixed(1);
+                el.title = `${type === 'direct' ? 'DIRECT' : 'IN'} ${sourceId} -> A${outputId}: ${this.formatSendLevel(send)}`;
+            } else {
+                el.title = `A${outputId}: ${this.formatSendLevel(send)}\nDrag: level / Right-click: pre/post fader`;
+            }
+        });
+    }
+
+    // MIN_DB〜最大レベルを 0〜1 に割り当てる (ボタンの塗りつぶし用)
+    sendLevelRatio(level) {
+        const maxDb = sends.levelToDb(sends.LIMITS.level.max);
+        const db = sends.levelToDb(level);
+        return Math.max(0, Math.min(1, (db - sends.MIN_DB) / (maxDb - sends.MIN_DB)));
+    }
+
+    formatSendLevel(send) {
+        const db = sends.levelToDb(send.level);
+        return `${db === -Infinity ? '-Inf' : db.toFixed(1)}dB (${send.preFader ? 'Pre' : 'Post'}-fader)`;
+    }
+
+    refreshRoutingContainers() {
+        store.data.inputs.forEach(i => {
+            const c = document.getElementById(`input-${i.id}-route`);
+            if (c) this.renderRoutingContainer(c, 'hardware', i.id);
+        });
+        store.data.directs.forEach(d => {
+            const c = document.getElementById(`direct-${d.id}-route`);
+            if (c) this.renderRoutingContainer(c, 'direct', d.id);
+        });
+        if (this.isMatrixOpen) this.renderRoutingMatrix();
+        if (this.analyzer) this.refreshAnalyzerSources();
+        if (this.isRecorderOpen) this.renderRecorderModalContent();
+    }
+
+    // --- Routing Matrix ---
+    openMatrixModal() {
+        this.isMatrixOpen = true;
+        this.el.matrixModalOverlay.style.display = 'flex';
+        this.renderRoutingMatrix();
+    }
+
+    closeMatrixModal() {
+        this.el.matrixModalOverlay.style.display = 'none';
+        this.isMatrixOpen = false;
+        this.matrixCells = [];
+    }
+
+    // 行: 全ソース (store.getSources())、列: 全出力
+    renderRoutingMatrix() {
+        const container = this.el.matrixContainer;
+        container.innerHTML = '';
+        // 再描画 (ドラッグ中など) でアクティビティ表示が途切れないように引き継ぐ
+        const previous = new Map(this.matrixCells.map(c => [`${c.type}-${c.source.id}-${c.outputId}`, c.activity]));
+        this.matrixCells = [];
+        if (store.data.outputs.length === 0 || store.getSources().length === 0) {
+            container.textContent = 'No sources or outputs.';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'matrix-table';
+        const head = table.createTHead().insertRow();
+        head.appendChild(document.createElement('th'));
+        store.data.outputs.forEach(out => {
+            const th = document.createElement('th');
+            th.className = 'matrix-output';
+            th.textContent = `A${out.id}`;
+            th.title = this.getDeviceLabel(this.outputDevices, out.selectedDeviceId) || 'No device';
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        store.getSources().forEach(({ type, source }) => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.className = 'matrix-source';
+            if (type === 'direct') {
+                th.textContent = `DIRECT ${source.id}`;
+            } else {
+                th.textContent = `IN ${source.id}`;
+                th.title = this.getDeviceLabel(this.inputDevices, source.deviceId);
+            }
+            row.appendChild(th);
+
+            store.data.outputs.forEach(out => {
+                const td = row.insertCell();
+                const cell = document.createElement('div');
+                const send = sends.findSend(source, out.id);
+                cell.className = `matrix-cell ${send ? 'active' : ''} ${send && send.preFader ? 'pre' : ''}`;
+                cell.innerHTML = `<div class="matrix-activity"></div><span class="matrix-level"></span>`;
+                if (send) {
+                    const db = sends.levelToDb(send.level);
+                    cell.style.setProperty('--send-level', `${this.sendLevelRatio(send.level) * 100}%`);
+                    cell.querySelector('.matrix-level').textContent = db === -Infinity ? '-Inf' : db.toFixed(1);
+                    cell.title = `${th.textContent} -> A${out.id}: ${this.formatSendLevel(send)}`;
+                }
+                this.attachSendControl(cell, type, source.id, out.id);
+                td.appendChild(cell);
+                this.matrixCells.push({
+                    el: cell.querySelector('.matrix-activity'), type: type, source: source, outputId: out.id,
+                    activity: previous.get(`${type}-${source.id}-${out.id}`) || 0
+                });
+            });
+        });
+        container.appendChild(table);
+    }
+
+    // --- Spectrum Analyzer ---
+    openAnalyzerModal() {
+        if (this.analyzerWindow) {
+            this.analyzerWindow.focus();
+            return;
+        }
+        this.el.analyzerModalOverlay.style.display = 'flex';
+        this.refreshAnalyzerSources();
+        this.analyzer.start();
+    }
+
+    closeAnalyzerModal() {
+        this.el.analyzerModalOverlay.style.display = 'none';
+        if (!this.analyzerWindow) this.analyzer.stop();
+    }
+
+    // 選択肢: 全入力、全Direct、全出力 (value は 'kind:id')
+    refreshAnalyzerSources() {
+        const options = [
+            ...store.data.inputs.map(i => ({ value: `input:${i.id}`, label: `IN ${i.id}` })),
+            ...store.data.directs.map(d => ({ value: `direct:${d.id}`, label: `DIRECT ${d.id}` })),
+            ...store.data.outputs.map(o => ({ value: `output:${o.id}`, label: `A${o.id}` }))
+        ];
+        const fill = (select, allowNone) => {
+            const current = select.value;
+            select.innerHTML = '';
+            if (allowNone) select.add(new Option('None', ''));
+            options.forEach(o => select.add(new Option(o.label, o.value)));
+            if (options.some(o => o.value === current)) select.value = current;
+        };
+        fill(this.el.analyzerSourceA, false);
+        fill(this.el.analyzerSourceB, true);
+        this.applyAnalyzerSources();
+    }
+
+    applyAnalyzerSources() {
+        const parse = (value) => {
+            if (!value) return null;
+            const [kind, id] = value.split(':');
+            return { kind: kind, id: parseInt(id, 10) };
+        };
+        this.analyzer.setSettings({
+            sourceA: parse(this.el.analyzerSourceA.value),
+            sourceB: parse(this.el.analyzerSourceB.value)
+        });
+    }
+
+    // パネルごと別ウィンドウへ移し、そのウィンドウを閉じたらモーダルへ戻す
+    detachAnalyzer() {
+        const win = window.open('', 'uxAnalyzer');
+        if (!win) return;
+        const doc = win.document;
+        doc.title = 'Spectrum Analyzer';
+        const link = doc.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = new URL('css/style.css', document.baseURI).href;
+        link.addEventListener('load', () => this.analyzer.resize());
+        doc.head.appendChild(link);
+        doc.body.className = 'analyzer-window';
+
+        this.analyzer.stop();
+        doc.body.appendChild(doc.adoptNode(this.el.analyzerPanel));
+        this.analyzerWindow = win;
+        this.el.analyzerModalOverlay.style.display = 'none';
+        win.addEventListener('resize', () => this.analyzer.resize());
+        win.addEventListener('beforeunload', () => this.reattachAnalyzer());
+        this.analyzer.start();
+    }
+
+    reattachAnalyzer() {
+        if (!this.analyzerWindow) return;
+        this.analyzer.stop();
+        this.el.analyzerHost.appendChild(document.adoptNode(this.el.analyzerPanel));
+        this.analyzerWindow = null;
+    }
+
+    // --- Recorder ---
+    openRecorderModal() {
+        this.isRecorderOpen = true;
+        this.el.recorderModalOverlay.style.display = 'flex';
+        this.renderRecorderModalContent();
+    }
+
+    closeRecorderModal() {
+        this.el.recorderModalOverlay.style.display = 'none';
+        this.isRecorderOpen = false;
+        this.recorderRows = [];
+    }
+
+    renderRecorderModalContent() {
+        const settings = store.data.recorder;
+        this.el.recorderFolder.textContent = recorder.getFolder();
+        this.el.recorderFolder.title = recorder.getFolder();
+        this.el.recorderBitDepth.value = String(settings.bitDepth);
+        // インポートした設定に選択肢に無いサイズがあれば追加する
+        const split = String(settings.splitSizeMB);
+        if (!Array.from(this.el.recorderSplitSize.options).some(o => o.value === split)) {
+            this.el.recorderSplitSize.add(new Option(`${split} MB`, split));
+        }
+        this.el.recorderSplitSize.value = split;
+
+        const container = this.el.recorderContainer;
+        container.innerHTML = '';
+        this.recorderRows = [];
+        const strips = [
+            ...store.data.inputs.map(i => ({ kind: 'input', id: i.id, name: `IN ${i.id}` })),
+            ...store.data.directs.map(d => ({ kind: 'direct', id: d.id, name: `DIRECT ${d.id}` })),
+            ...store.data.outputs.map(o => ({ kind: 'output', id: o.id, name: `A${o.id}` }))
+        ];
+        strips.forEach(strip => {
+            const row = document.createElement('div');
+            row.className = 'recorder-row';
+            row.innerHTML = `
+                <span class="recorder-name">${strip.name}</span>
+                <button class="status-btn rec-btn">REC</button>
+                <span class="recorder-time"></span>
+                <span class="recorder-size"></span>
+                <span class="recorder-file"></span>
+            `;
+            const btn = row.querySelector('.rec-btn');
+            btn.addEventListener('click', () => this.toggleRecording(strip.kind, strip.id));
+            container.appendChild(row);
+            this.recorderRows.push({
+                kind: strip.kind, id: strip.id, btn: btn,
+                time: row.querySelector('.recorder-time'),
+                size: row.querySelector('.recorder-size'),
+                file: row.querySelector('.recorder-file')
+            });
+        });
+        this.updateRecorderStatus();
+    }
+
+    toggleRecording(kind, id) {
+        if (recorder.isRecording(kind, id)) {
+            recorder.stop(kind, id);
+        } else {
+            try {
+                recorder.start(kind, id);
+            } catch (e) {
+                alert(`Recording failed: ${e.message}`);
+            }
+        }
+        this.updateRecorderStatus();
+    }
+
+    updateRecorderStatus() {
+        this.el.recorderOpenBtn?.classList.toggle('recording', recorder.count > 0);
+        this.recorderRows.forEach(row => {
+            const status = recorder.getStatus(row.kind, row.id);
+            row.btn.classList.toggle('active', !!status);
+            row.btn.textContent = status ? 'STOP' : 'REC';
+            row.time.textContent = status ? this.formatDuration(status.elapsed) : '';
+            row.size.textContent = status ? this.formatBytes(status.fileBytes) : '';
+            row.size.title = status ? `Total: ${this.formatBytes(status.totalBytes)}` : '';
+            row.file.textContent = status ? status.fileName : '';
+            row.file.title = row.file.textContent;
+        });
+    }
+
+    onRecorderError(message) {
+        this.updateRecorderStatus();
+        alert(message);
+    }
+
+    async browseRecorderFolder() {
+        const folder = await ipcRenderer.invoke('recorder-folder-dialog', recorder.getFolder());
+        if (!folder) return;
+        store.data.recorder.folder = folder;
+        store.save();
+        this.renderRecorderModalContent();
+    }
+
+    openRecorderFolder() {
+        const folder = recorder.getFolder();
+        try {
+            fs.mkdirSync(folder, { recursive: true });
+        } catch (e) {
+            alert(`Cannot open folder: ${e.message}`);
+            return;
+        }
+        shell.openPath(folder);
+    }
+
+    formatDuration(sec) {
+        const total = Math.floor(sec);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    getDeviceLabel(devices, deviceId) {
+        const device = devices.find(d => d.deviceId === deviceId);
+        return device ? device.label : '';
+    }
+
+    // ソースのピーク × センドゲイン で各セルに実際に流れているレベルを表示する
+    updateMatrixActivity(dt) {
+        const peaks = new Map();
+        this.matrixCells.forEach(cell => {
+            const key = `${cell.type}-${cell.source.id}`;
+            if (!peaks.has(key)) peaks.set(key, this.getSourcePeak(cell.type, cell.source.id));
+            const level = peaks.get(key) * sends.sendGain(cell.source, cell.outputId);
+            const db = level > 0 ? 20 * Math.log10(level) : -Infinity;
+            const target = Math.max(0, Math.min(1, (db + 60) / 60));
+            cell.activity = target > cell.activity ? target : Math.max(target, cell.activity - dt * 1.5);
+            cell.el.style.opacity = cell.activity;
+        });
+    }
+
+    getSourcePeak(type, sourceId) {
+        const nodes = type === 'direct' ? audio.directSources.get(sourceId) : audio.hardwareInputs.get(sourceId);
+        if (!nodes) return 0;
+        let peak = 0;
+        [nodes.analyserL, nodes.analyserR].forEach(analyser => {
+            if (!analyser) return;
+            analyser.getFloatTimeDomainData(this.floatData);
+            for (let i = 0; i < analyser.fftSize; i++) {
+                const v = Math.abs(this.floatData[i]);
+                if (v > peak) peak = v;
+            }
+        });
+        return peak;
+    }
+
     updateDb(el, val) {
         if (!el) return;
         const db = val === 0 ? -Infinity : 20 * Math.log10(val);
@@ -474,9 +2073,50 @@ class UI {
         this.el.startBtn.style.backgroundColor = isActive ? "var(--accent-orange)" : "var(--accent-green)";
     }
 
-    updateStatusDot(connected, rate) {
+    updateDirectStatus(slotId, connected, rate, info) {
+        this.directStatus.set(slotId, { connected: connected, rate: rate, info: info });
+
+        // 新しいSenderが追加スロットに割り当てられた場合はストリップを生成
+        if (!document.getElementById(`direct-strip-${slotId}`)) {
+            const data = store.data.directs.find(d => d.id === slotId);
+            if (data) this.renderDirectStrip(data);
+        }
+        this.updateDirectStrip(slotId, connected, rate, info);
+
+        const connectedCount = Array.from(this.directStatus.values()).filter(s => s.connected).length;
+        this.updateStatusDot(connectedCount, rate);
+    }
+
+    updateDirectStrip(slotId, connected, rate, info) {
+        const el = document.getElementById(`direct-${slotId}-status`);
+        if (!el) return;
+        el.classList.toggle('connected', connected);
+        el.textContent = connected ? `CONNECTED ${rate}Hz` : 'WAITING';
+        el.title = connected && info
+            ? `${info.protocol} / ${info.channels}ch / ${info.format}${info.blockSize ? ` / block ${info.blockSize}` : ''}`
+            : '';
+    }
+
+    updateDirectStats(slotId) {
+        const el = document.getElementById(`direct-${slotId}-stats`);
+        if (!el) return;
+        const status = this.directStatus.get(slotId);
+        const stats = audio.getDirectStats(slotId);
+        if (!stats || !status || !status.connected) {
+            el.innerHTML = '&nbsp;';
+            return;
+        }
+        el.textContent = `${Math.round(stats.latencyMs)}ms U:${stats.underruns} O:${stats.overruns}`;
+        el.title = `Target ${Math.round(stats.targetMs)}ms / Rate adjust ${((stats.ratio - 1) * 100).toFixed(3)}%`;
+    }
+
+    updateStatusDot(connectedCount, rate) {
         if (!this.el.statusDot || !this.el.statusText) return;
-        if (connected) {
+        if (connectedCount > 1) {
+            this.el.statusDot.classList.add('connected');
+            this.el.statusText.textContent = `UX Music: ${connectedCount} Senders Connected`;
+            this.el.statusText.style.color = "var(--accent-blue)";
+        } else if (connectedCount === 1) {
             this.el.statusDot.classList.add('connected');
             this.el.statusText.textContent = `UX Music: Connected (${rate}Hz)`;
             this.el.statusText.style.color = "var(--accent-blue)";
@@ -511,8 +2151,24 @@ class UI {
                     else if (elR) this.updateMeter(null, elR, dt);
                 });
 
-                this.updateMeter(audio.directAnalyserL, this.el.dirMeterL, dt);
-                this.updateMeter(audio.directAnalyserR, this.el.dirMeterR, dt);
+                if (this.currentCompOutputId !== null) this.updateCompReductionMeter();
+                if (this.isMatrixOpen) this.updateMatrixActivity(dt);
+
+                if (timestamp - this.lastStatsTime > 250) {
+                    this.lastStatsTime = timestamp;
+                    store.data.directs.forEach(d => this.updateDirectStats(d.id));
+                    store.data.outputs.forEach(o => this.updateLoudnessDisplay(o.id));
+                    store.data.outputs.forEach(o => { if (o.type === 'link') this.updateLinkStatus(o.id); });
+                    if (recorder.count > 0) this.updateRecorderStatus();
+                }
+
+                store.data.directs.forEach(dirData => {
+                    const src = audio.directSources.get(dirData.id);
+                    const elL = document.getElementById(`direct-${dirData.id}-meterL`);
+                    const elR = document.getElementById(`direct-${dirData.id}-meterR`);
+                    this.updateMeter(src ? src.analyserL : null, elL, dt);
+                    this.updateMeter(src ? src.analyserR : null, elR, dt);
+                });
 
                 store.data.outputs.forEach(outData => {
                     const nodes = audio.strips.get(outData.id);
@@ -528,11 +2184,14 @@ class UI {
                     this.updateMeter(null, document.getElementById(`input-${i.id}-meterL`), dt);
                     this.updateMeter(null, document.getElementById(`input-${i.id}-meterR`), dt);
                 });
-                this.updateMeter(null, this.el.dirMeterL, dt);
-                this.updateMeter(null, this.el.dirMeterR, dt);
+                store.data.directs.forEach(d => {
+                    this.updateMeter(null, document.getElementById(`direct-${d.id}-meterL`), dt);
+                    this.updateMeter(null, document.getElementById(`direct-${d.id}-meterR`), dt);
+                });
                 store.data.outputs.forEach(outData => {
                     this.updateMeter(null, document.getElementById(`strip-${outData.id}-meterL`), dt);
                     this.updateMeter(null, document.getElementById(`strip-${outData.id}-meterR`), dt);
+                    this.updateLoudnessDisplay(outData.id);
                 });
             }
             requestAnimationFrame(loop);
@@ -540,37 +2199,60 @@ class UI {
         requestAnimationFrame(loop);
     }
 
+    // L/Rメーター + dBスケール + クリップLED (meter-fill の id は `${idPrefix}-meterL` / `${idPrefix}-meterR`)
+    meterMarkup(idPrefix) {
+        const ticks = meters.SCALE_TICKS
+            .map(db => `<span style="top: ${100 - meters.dbToPercent(db)}%">${db}</span>`)
+            .join('');
+        const channel = ch => `
+            <div class="meter-channel">
+                <div class="meter-clip" title="Clip (click to reset)"></div>
+                <div class="meter-container">
+                    <div class="meter-rms"></div>
+                    <div class="meter-fill" id="${idPrefix}-meter${ch}"></div>
+                    <div class="meter-hold"></div>
+                </div>
+            </div>`;
+        return `<div class="meter-container-stereo"><div class="meter-scale">${ticks}</div>${channel('L')}${channel('R')}</div>`;
+    }
+
+    // クリップLEDはクリックするまで点灯したまま (ストリップ内の両chをまとめて消す)
+    bindClipReset(div) {
+        div.querySelectorAll('.meter-clip').forEach(led => {
+            led.onclick = () => div.querySelectorAll('.meter-fill').forEach(fill => {
+                const state = this.meterStates.get(fill.id);
+                if (state) state.resetClip();
+            });
+        });
+    }
+
+    // analyser が null (停止中/未接続) の場合は無音として減衰させる
     updateMeter(analyser, element, dt) {
         if (!element) return;
-        let targetPercent = 0;
-        if (analyser) {
-            analyser.getByteTimeDomainData(this.fftData);
-            let sum = 0;
-            const len = analyser.frequencyBinCount;
-            for (let i = 0; i < len; i++) {
-                const v = (this.fftData[i] - 128) / 128.0;
-                sum += v * v;
-            }
-            const rms = Math.sqrt(sum / len);
-            const db = 20 * Math.log10(rms);
-            targetPercent = (db + 60) / 60 * 100;
-            if (targetPercent < 0) targetPercent = 0;
-            if (targetPercent > 100) targetPercent = 100;
-            if (targetPercent < 5.0) targetPercent = 0;
-        }
-
-        const id = element.id;
-        let current = this.meterValues.get(id) || 0;
-        if (targetPercent > current) {
-            current += (targetPercent - current) * 15.0 * dt;
-        } else {
-            current -= 80.0 * dt;
+        let state = this.meterStates.get(element.id);
+        if (!state) {
+            state = new meters.MeterBallistics();
+            this.meterStates.set(element.id, state);
         }
-        if (current < 0) current = 0;
-        if (current > 100) current = 100;
-        this.meterValues.set(id, current);
-        // シャッター方式: 0%のとき100%隠し、100%のとき0%隠す
-        element.style.height = `${100 - current}%`;
+        state.update(meters.measure(analyser, this.floatData), dt);
+
+        const container = element.parentElement;
+        // シャッター方式: 0%のとき100%隠し、100%のとき0%隠す (ピークの上は黒、ピークとRMSの間は半透明)
+        element.style.height = `${100 - meters.dbToPercent(state.peakDb)}%`;
+        container.querySelector('.meter-rms').style.height = `${100 - meters.dbToPercent(state.rmsDb)}%`;
+        const hold = container.querySelector('.meter-hold');
+        const holdPercent = meters.dbToPercent(state.holdDb);
+        hold.style.bottom = `${holdPercent}%`;
+        hold.style.display = holdPercent > 0 ? 'block' : 'none';
+        container.parentElement.querySelector('.meter-clip').classList.toggle('active', state.clip);
+    }
+
+    updateLoudnessDisplay(outputId) {
+        const el = document.getElementById(`strip-${outputId}-lufs`);
+        if (!el) return;
+        const loudness = audio.isRunning ? audio.getLoudness(outputId) : null;
+        const format = v => (loudness && v > -Infinity ? v.toFixed(1) : '--.-');
+        el.textContent = `S ${format(loudness && loudness.shortTerm)} I ${format(loudness && loudness.integrated)} LUFS`;
     }
 }
 
@@ -0,0 +1,127 @@
+// js/wav-writer.js
+// WAVファイルへの逐次書き込み (16/24-bit PCM、32-bit float)
+// 先にサイズ 0 のヘッダーを書き、updateHeader() で書き込み済みのサイズに更新する
+// (定期的に呼べば、アプリが落ちてもそこまでのデータは正しいWAVとして読める)
+const fs = require('fs');
+
+const BIT_DEPTHS = [16, 24, 32];
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+
+class WavWriter {
+    /**
+     * @param {string} filePath 既にファイルがある場合は例外 (上書きしない)
+     * @param {number} sampleRate
+     * @param {number} channels
+     * @param {16|24|32} bitDepth 32 は float
+     */
+    constructor(filePath, sampleRate, channels, bitDepth) {
+        if (!BIT_DEPTHS.includes(bitDepth)) throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        this.filePath = filePath;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.bitDepth = bitDepth;
+        this.isFloat = bitDepth === 32;
+        this.bytesPerSample = bitDepth / 8;
+        this.dataBytes = 0;
+        this.fd = fs.openSync(filePath, 'wx');
+
+        const header = this.createHeader();
+        this.headerBytes = header.length;
+        fs.writeSync(this.fd, header, 0, header.length, 0);
+    }
+
+    // 非PCM (float) は fmt を18バイトにして fact チャンクを付ける
+    createHeader() {
+        const fmtSize = this.isFloat ? 18 : 16;
+        const factSize = this.isFloat ? 12 : 0;
+        const header = Buffer.alloc(12 + 8 + fmtSize + factSize + 8);
+        const blockAlign = this.channels * this.bytesPerSample;
+        let p = 0;
+        header.write('RIFF', p); p += 4;
+        this.riffSizeOffset = p; p += 4;
+        header.write('WAVE', p); p += 4;
+        header.write('fmt ', p); p += 4;
+        header.writeUInt32LE(fmtSize, p); p += 4;
+        header.writeUInt16LE(this.isFloat ? FORMAT_FLOAT : FORMAT_PCM, p); p += 2;
+        header.writeUInt16LE(this.channels, p); p += 2;
+        header.writeUInt32LE(this.sampleRate, p); p += 4;
+        header.writeUInt32LE(this.sampleRate * blockAlign, p); p += 4;
+        header.writeUInt16LE(blockAlign, p); p += 2;
+        header.writeUInt16LE(this.bitDepth, p); p += 2;
+        if (this.isFloat) {
+            header.writeUInt16LE(0, p); p += 2;
+            header.write('fact', p); p += 4;
+            header.writeUInt32LE(4, p); p += 4;
+            this.factOffset = p; p += 4;
+        }
+        header.write('data', p); p += 4;
+        this.dataSizeOffset = p;
+        return header;
+    }
+
+    get frames() {
+        return this.dataBytes / (this.channels * this.bytesPerSample);
+    }
+
+    get fileBytes() {
+        return this.headerBytes + this.dataBytes;
+    }
+
+    // 書き込むとこのバイト数だけ増える
+    byteLength(samples) {
+        return samples.length * this.bytesPerSample;
+    }
+
+    /**
+     * @param {Float32Array} samples インターリーブ
+     */
+    write(samples) {
+        if (this.fd === null) return;
+        const buf = this.encode(samples);
+        fs.writeSync(this.fd, buf, 0, buf.length, this.headerBytes + this.dataBytes);
+        this.dataBytes += buf.length;
+    }
+
+    encode(samples) {
+        const buf = Buffer.alloc(this.byteLength(samples));
+        if (this.bitDepth === 32) {
+            for (let i = 0; i < samples.length; i++) buf.writeFloatLE(samples[i], i * 4);
+        } else if (this.bitDepth === 24) {
+            for (let i = 0; i < samples.length; i++) {
+                const v = Math.round(Math.max(-1, Math.min(1, samples[i])) * 8388607);
+                buf.writeIntLE(v, i * 3, 3);
+            }
+        } else {
+            // 16-bit は TPDFディザーを加えて量子化する
+            for (let i = 0; i < samples.length; i++) {
+                const dither = Math.random() - Math.random();
+                const v = Math.round(samples[i] * 32767 + dither);
+                buf.writeInt16LE(Math.max(-32768, Math.min(32767, v)), i * 2);
+            }
+        }
+        return buf;
+    }
+
+    updateHeader() {
+        if (this.fd === null) return;
+        const sizes = Buffer.alloc(4);
+        sizes.writeUInt32LE(this.fileBytes - 8, 0);
+        fs.writeSync(this.fd, sizes, 0, 4, this.riffSizeOffset);
+        sizes.writeUInt32LE(this.dataBytes, 0);
+        fs.writeSync(this.fd, sizes, 0, 4, this.dataSizeOffset);
+        if (this.isFloat) {
+            sizes.writeUInt32LE(this.frames, 0);
+            fs.writeSync(this.fd, sizes, 0, 4, this.factOffset);
+        }
+    }
+
+    close() {
+        if (this.fd === null) return;
+        this.updateHeader();
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+module.exports = WavWriter;
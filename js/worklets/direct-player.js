@@ -0,0 +1,49 @@
+// js/worklets/direct-player.js
+// AudioWorkletGlobalScope で動作する Direct Link 再生プロセッサ
+// SabRingBuffer は事前に addModule('js/sab-ring.js') で読み込んでおくこと
+
+class DirectPlayerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.ring = new SabRingBuffer(options.processorOptions.ring);
+        // 目標量まで溜まるまでは無音を出力 (初回・Underrun後)
+        this.starved = true;
+        this.hasPlayed = false;
+        this.active = true;
+
+        this.port.onmessage = (e) => {
+            if (e.data === 'reset') {
+                this.starved = true;
+                this.hasPlayed = false;
+            } else if (e.data === 'stop') {
+                this.active = false;
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        this.ring.applyDiscard();
+
+        if (this.starved) {
+            if (this.ring.availableRead() < Math.max(frames, this.ring.target)) {
+                output.forEach(ch => ch.fill(0));
+                return this.active;
+            }
+            this.starved = false;
+        }
+
+        const read = this.ring.read(output, frames);
+        if (read < frames) {
+            output.forEach(ch => ch.fill(0, read));
+            this.starved = true;
+            if (this.hasPlayed) this.ring.countUnderrun();
+        }
+        this.hasPlayed = true;
+        return this.active;
+    }
+}
+
+registerProcessor('ux-direct-player', DirectPlayerProcessor);
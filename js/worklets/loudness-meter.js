@@ -0,0 +1,161 @@
+// js/worklets/loudness-meter.js
+// AudioWorkletGlobalScope で動作するラウドネスメーター (ITU-R BS.1770 / EBU R128)
+// K特性フィルター -> 100ms ごとの平均二乗 -> Momentary (400ms) / Short-term (3s) / Integrated (ゲート付き)
+// 100ms ごとに port へ { momentary, shortTerm, integrated } (LUFS、無音は -Infinity) を送る
+// port へ { type: 'reset' } を送ると Integrated を測り直す
+
+const BLOCK_SEC = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Integrated 用のヒストグラム (長時間でもメモリが増えないように 0.1LU 刻みで集計)
+const HISTOGRAM_MIN = -70;
+const HISTOGRAM_MAX = 5;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX - HISTOGRAM_MIN) / HISTOGRAM_STEP);
+
+function toLufs(meanSquare) {
+    return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+// K特性 (高域シェルフ + RLBハイパス) の係数をサンプルレートから求める
+function kWeighting(rate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / rate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+        b0: 1, b1: -2, b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+    return [shelf, highpass];
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.filters = kWeighting(sampleRate);
+        // [チャンネル][フィルター] の状態 (Direct Form I: x1, x2, y1, y2)
+        this.states = [];
+        this.blockFrames = Math.round(BLOCK_SEC * sampleRate);
+        this.blockFill = 0;
+        this.blockSum = 0;
+        // 直近 SHORT_TERM_BLOCKS 個の 100ms ブロック (チャンネル合計の平均二乗)
+        this.blocks = new Float64Array(SHORT_TERM_BLOCKS);
+        this.blockIndex = 0;
+        this.blockCount = 0;
+        this.resetIntegrated();
+
+        this.port.onmessage = (e) => {
+            if (e.data && e.data.type === 'reset') this.resetIntegrated();
+        };
+    }
+
+    resetIntegrated() {
+        this.histogramCount = new Uint32Array(HISTOGRAM_BINS);
+        this.histogramSum = new Float64Array(HISTOGRAM_BINS);
+    }
+
+    filterState(ch) {
+        if (!this.states[ch]) this.states[ch] = this.filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+        return this.states[ch];
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+        const frames = input[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            let sum = 0;
+            for (let ch = 0; ch < input.length; ch++) {
+                const states = this.filterState(ch);
+                let v = input[ch][i];
+                for (let f = 0; f < this.filters.length; f++) {
+                    const c = this.filters[f];
+                    const s = states[f];
+                    const y = c.b0 * v + c.b1 * s.x1 + c.b2 * s.x2 - c.a1 * s.y1 - c.a2 * s.y2;
+                    s.x2 = s.x1; s.x1 = v;
+                    s.y2 = s.y1; s.y1 = y;
+                    v = y;
+                }
+                // L/R の重みは 1.0
+                sum += v * v;
+            }
+            this.blockSum += sum;
+            if (++this.blockFill >= this.blockFrames) this.endBlock();
+        }
+        return true;
+    }
+
+    endBlock() {
+        this.blocks[this.blockIndex] = this.blockSum / this.blockFill;
+        this.blockIndex = (this.blockIndex + 1) % SHORT_TERM_BLOCKS;
+        this.blockCount = Math.min(this.blockCount + 1, SHORT_TERM_BLOCKS);
+        this.blockSum = 0;
+        this.blockFill = 0;
+
+        const momentary = this.average(MOMENTARY_BLOCKS);
+        // Integrated は 400ms ブロック (75%オーバーラップ) を集計する
+        if (this.blockCount >= MOMENTARY_BLOCKS) this.addToHistogram(momentary);
+
+        this.port.postMessage({
+            momentary: this.blockCount >= MOMENTARY_BLOCKS ? toLufs(momentary) : -Infinity,
+            shortTerm: this.blockCount >= SHORT_TERM_BLOCKS ? toLufs(this.average(SHORT_TERM_BLOCKS)) : -Infinity,
+            integrated: this.integrated()
+        });
+    }
+
+    // 直近 n ブロックの平均二乗
+    average(n) {
+        let sum = 0;
+        for (let k = 1; k <= n; k++) sum += this.blocks[(this.blockIndex - k + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+        return sum / n;
+    }
+
+    addToHistogram(meanSquare) {
+        const lufs = toLufs(meanSquare);
+        if (lufs < ABSOLUTE_GATE) return;
+        const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+        this.histogramCount[bin]++;
+        this.histogramSum[bin] += meanSquare;
+    }
+
+    // 絶対ゲート (-70 LUFS) を通ったブロックの平均から相対ゲート (-10 LU) を求め、その上のブロックを平均する
+    integrated() {
+        let count = 0;
+        let sum = 0;
+        for (let b = 0; b < HISTOGRAM_BINS; b++) {
+            count += this.histogramCount[b];
+            sum += this.histogramSum[b];
+        }
+        if (count === 0) return -Infinity;
+
+        const gate = toLufs(sum / count) + RELATIVE_GATE;
+        const firstBin = Math.max(0, Math.floor((gate - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+        count = 0;
+        sum = 0;
+        for (let b = firstBin; b < HISTOGRAM_BINS; b++) {
+            count += this.histogramCount[b];
+            sum += this.histogramSum[b];
+        }
+        return count > 0 ? toLufs(sum / count) : -Infinity;
+    }
+}
+
+registerProcessor('ux-loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,77 @@
+// js/worklets/noise-gate.js
+// AudioWorkletGlobalScope で動作する入力用ノイズゲート/エキスパンダー
+// 全チャンネルのピークで開閉を判定し、閉じている間は range (dB) まで減衰させる
+
+// 閉じる判定は threshold より少し下で行い、境界付近でのバタつきを防ぐ
+const HYSTERESIS_DB = 3;
+const HOLD_SEC = 0.05;
+const DETECT_RELEASE_SEC = 0.01;
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'attack', defaultValue: 0.002, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.15, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' },
+            { name: 'range', defaultValue: -80, minValue: -100, maxValue: 0, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.envelope = 0;
+        this.gain = 0;
+        this.holdRemaining = 0;
+        this.isOpen = false;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) {
+            output.forEach(ch => ch.fill(0));
+            return true;
+        }
+
+        const openLevel = dbToGain(parameters.threshold[0]);
+        const closeLevel = dbToGain(parameters.threshold[0] - HYSTERESIS_DB);
+        const floor = dbToGain(parameters.range[0]);
+        const attackCoef = Math.exp(-1 / (parameters.attack[0] * sampleRate));
+        const releaseCoef = Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const detectCoef = Math.exp(-1 / (DETECT_RELEASE_SEC * sampleRate));
+        const holdSamples = Math.round(HOLD_SEC * sampleRate);
+        const frames = output[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            let peak = 0;
+            for (let ch = 0; ch < input.length; ch++) {
+                const v = Math.abs(input[ch][i]);
+                if (v > peak) peak = v;
+            }
+            this.envelope = peak > this.envelope ? peak : this.envelope * detectCoef;
+
+            if (this.envelope >= openLevel) {
+                this.isOpen = true;
+                this.holdRemaining = holdSamples;
+            } else if (this.isOpen && this.envelope < closeLevel) {
+                if (this.holdRemaining > 0) this.holdRemaining--;
+                else this.isOpen = false;
+            }
+
+            const target = this.isOpen ? 1 : floor;
+            const coef = target > this.gain ? attackCoef : releaseCoef;
+            this.gain = target + (this.gain - target) * coef;
+
+            for (let ch = 0; ch < output.length; ch++) {
+                output[ch][i] = input[ch < input.length ? ch : input.length - 1][i] * this.gain;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('ux-noise-gate', NoiseGateProcessor);
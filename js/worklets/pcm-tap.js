@@ -0,0 +1,50 @@
+// js/worklets/pcm-tap.js
+// AudioWorkletGlobalScope で動作するタップ (録音、Direct Link 送信)
+// 入力を 2ch インターリーブの Float32Array (processorOptions.chunkFrames フレーム) にまとめて port へ送る
+// port へ 'stop' を送ると残りを送り、続けて 'done' を送って終了する
+
+const DEFAULT_CHUNK_FRAMES = 4096;
+
+class PcmTapProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = options && options.processorOptions ? options.processorOptions : {};
+        this.chunkFrames = opts.chunkFrames || DEFAULT_CHUNK_FRAMES;
+        this.buffer = new Float32Array(this.chunkFrames * 2);
+        this.fill = 0;
+        this.active = true;
+
+        this.port.onmessage = (e) => {
+            if (e.data === 'stop') {
+                this.flush();
+                this.port.postMessage('done');
+                this.active = false;
+            }
+        };
+    }
+
+    process(inputs) {
+        if (!this.active) return false;
+        const input = inputs[0];
+        // 接続元が無い間も時間軸を保つため無音を書く
+        const frames = input && input.length > 0 ? input[0].length : 128;
+        const left = input && input.length > 0 ? input[0] : null;
+        const right = input && input.length > 1 ? input[1] : left;
+
+        for (let i = 0; i < frames; i++) {
+            this.buffer[this.fill * 2] = left ? left[i] : 0;
+            this.buffer[this.fill * 2 + 1] = right ? right[i] : 0;
+            if (++this.fill >= this.chunkFrames) this.flush();
+        }
+        return true;
+    }
+
+    flush() {
+        if (this.fill === 0) return;
+        const chunk = this.buffer.slice(0, this.fill * 2);
+        this.port.postMessage(chunk, [chunk.buffer]);
+        this.fill = 0;
+    }
+}
+
+registerProcessor('ux-pcm-tap', PcmTapProcessor);
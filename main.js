@@ -1,10 +1,14 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, nativeImage } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, nativeImage, dialog } = require('electron');
 const path = require('path');
+const controlServer = require('./js/control-server');
 
 let mainWindow;
 let tray;
 let isQuitting = false;
 
+// Direct Link 再生 (AudioWorklet) とIPC側でリングバッファを共有するため
+app.commandLine.appendSwitch('enable-features', 'SharedArrayBuffer');
+
 function createWindow() {
     mainWindow = new BrowserWindow({
         width: 800,
@@ -19,6 +23,22 @@ function createWindow() {
     });
 
     mainWindow.loadFile('index.html');
+    controlServer.attach(mainWindow.webContents);
+
+    // 切り離したスペクトラムアナライザーのウィンドウだけ許可する (中身はレンダラーが描画する)
+    mainWindow.webContents.setWindowOpenHandler(({ frameName }) => {
+        if (frameName !== 'uxAnalyzer') return { action: 'deny' };
+        return {
+            action: 'allow',
+            overrideBrowserWindowOptions: {
+                width: 900,
+                height: 480,
+                autoHideMenuBar: true,
+                backgroundColor: '#1e1e1e',
+                icon: path.join(__dirname, 'icon.png')
+            }
+        };
+    });
 
     // --- 閉じるボタン（×）の挙動 ---
     mainWindow.on('close', (event) => {
@@ -103,6 +123,42 @@ function showWindow() {
     mainWindow.webContents.send('window-show');
 }
 
+// 設定ファイルのエクスポート/インポート用ダイアログ (ファイルの読み書きはレンダラー側で行う)
+const CONFIG_FILTERS = [{ name: 'UX Audio Router Config', extensions: ['json'] }];
+
+ipcMain.handle('config-export-dialog', async () => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Mixer Config',
+        defaultPath: 'ux-audio-router.json',
+        filters: CONFIG_FILTERS
+    });
+    return result.canceled ? null : result.filePath;
+});
+
+ipcMain.handle('config-import-dialog', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Mixer Config',
+        properties: ['openFile'],
+        filters: CONFIG_FILTERS
+    });
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+});
+
+// 録音フォルダーの選択
+ipcMain.handle('recorder-folder-dialog', async (event, defaultPath) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Recording Folder',
+        defaultPath: defaultPath,
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+});
+
+// リモートコントロール API (リクエストはレンダラーの js/remote.js で処理する)
+ipcMain.on('control-config', (event, config) => controlServer.configure(config));
+ipcMain.on('control-response', (event, id, response) => controlServer.resolveRequest(id, response));
+ipcMain.on('control-event', (event, message) => controlServer.broadcast(message));
+
 // 多重起動防止
 const gotTheLock = app.requestSingleInstanceLock();
 if (!gotTheLock) {
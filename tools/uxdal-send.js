@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// tools/uxdal-send.js
+// UX Direct Audio Link のテスト用Sender。正弦波を実時間で送信する
+//
+// 使い方:
+//   node tools/uxdal-send.js --tcp 127.0.0.1:47810 --token <token>
+//   node tools/uxdal-send.js --path /tmp/ux_audio_router.sock --uxd1
+//
+// オプション:
+//   --tcp host:port    ループバックTCPで接続
+//   --path <path>      Unixドメインソケット / 名前付きパイプで接続 (既定)
+//   --uxd1             UXD1ヘッダーで送信 (2ch float32 固定、トークン不可)
+//   --token <token>    UXD2 トークン拡張 (0x01) を付与
+//   --rate <hz>        サンプルレート (既定 48000)
+//   --channels <n>     チャンネル数 (既定 2)
+//   --format <f>       int16 | int24 | float32 (既定 float32)
+//   --freq <hz>        正弦波の周波数 (既定 440)
+//   --seconds <n>      送信時間。0 で無制限 (既定 0)
+//   --control          コントロールチャンネルを要求し、受信メッセージを表示
+const net = require('net');
+
+const FORMATS = { int16: { code: 1, bytes: 2 }, int24: { code: 2, bytes: 3 }, float32: { code: 3, bytes: 4 } };
+const BLOCK_MS = 10;
+
+function parseArgs(argv) {
+    const opts = {
+        path: process.platform === 'win32' ? '\\\\.\\pipe\\ux_audio_router_pipe' : '/tmp/ux_audio_router.sock',
+        tcp: null, uxd1: false, token: '', rate: 48000, channels: 2, format: 'float32',
+        freq: 440, seconds: 0, control: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        switch (arg) {
+            case '--tcp': opts.tcp = next(); break;
+            case '--path': opts.path = next(); break;
+            case '--uxd1': opts.uxd1 = true; break;
+            case '--token': opts.token = next(); break;
+            case '--rate': opts.rate = parseInt(next()); break;
+            case '--channels': opts.channels = parseInt(next()); break;
+            case '--format': opts.format = next(); break;
+            case '--freq': opts.freq = parseFloat(next()); break;
+            case '--seconds': opts.seconds = parseFloat(next()); break;
+            case '--control': opts.control = true; break;
+            default:
+                console.error(`Unknown option: ${arg}`);
+                process.exit(2);
+        }
+    }
+    if (!FORMATS[opts.format]) {
+        console.error(`Unknown format: ${opts.format}`);
+        process.exit(2);
+    }
+    if (opts.uxd1 && (opts.token || opts.control || opts.channels !== 2 || opts.format !== 'float32')) {
+        console.error('--uxd1 supports only 2ch float32 without token/control.');
+        process.exit(2);
+    }
+    return opts;
+}
+
+function buildHeader(opts, blockFrames) {
+    if (opts.uxd1) {
+        const header = Buffer.alloc(8);
+        header.write('UXD1', 0);
+        header.writeUInt32LE(opts.rate, 4);
+        return header;
+    }
+
+    const extensions = [];
+    if (opts.token) {
+        const value = Buffer.from(opts.token, 'utf8');
+        const tlv = Buffer.alloc(3);
+        tlv.writeUInt8(0x01, 0);
+        tlv.writeUInt16LE(value.length, 1);
+        extensions.push(tlv, value);
+    }
+    const ext = Buffer.concat(extensions);
+
+    const header = Buffer.alloc(16);
+    header.write('UXD2', 0);
+    header.writeUInt16LE(16 + ext.length, 4);
+    header.writeUInt16LE(opts.channels, 6);
+    header.writeUInt32LE(opts.rate, 8);
+    header.writeUInt8(FORMATS[opts.format].code, 12);
+    header.writeUInt8(opts.control ? 0x01 : 0x00, 13);
+    header.writeUInt16LE(blockFrames, 14);
+    return Buffer.concat([header, ext]);
+}
+
+function encodeBlock(opts, startFrame, frames) {
+    const fmt = FORMATS[opts.format];
+    const buf = Buffer.alloc(frames * opts.channels * fmt.bytes);
+    let offset = 0;
+    for (let i = 0; i < frames; i++) {
+        const v = Math.sin(2 * Math.PI * opts.freq * (startFrame + i) / opts.rate) * 0.5;
+        for (let ch = 0; ch < opts.channels; ch++) {
+            if (opts.format === 'float32') buf.writeFloatLE(v, offset);
+            else if (opts.format === 'int16') buf.writeInt16LE(Math.round(v * 32767), offset);
+            else buf.writeIntLE(Math.round(v * 8388607), offset, 3);
+            offset += fmt.bytes;
+        }
+    }
+    if (!opts.control) return buf;
+
+    // コントロールチャンネル有効時は AUDIO フレームで包む
+    const frameHeader = Buffer.alloc(5);
+    frameHeader.writeUInt8(0x01, 0);
+    frameHeader.writeUInt32LE(buf.length, 1);
+    return Buffer.concat([frameHeader, buf]);
+}
+
+function watchControl(socket) {
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= 5) {
+            const length = pending.readUInt32LE(1);
+            if (pending.length < 5 + length) break;
+            if (pending.readUInt8(0) === 0x02) console.log('<-', pending.slice(5, 5 + length).toString('utf8'));
+            pending = pending.slice(5 + length);
+        }
+    });
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const blockFrames = Math.round(opts.rate * BLOCK_MS / 1000);
+
+    let target;
+    if (opts.tcp) {
+        const [host, port] = opts.tcp.split(':');
+        target = { host: host || '127.0.0.1', port: parseInt(port) };
+    } else {
+        target = { path: opts.path };
+    }
+
+    const socket = net.connect(target, () => {
+        if (opts.tcp) socket.setNoDelay(true);
+        console.log(`Connected to ${opts.tcp || opts.path} (${opts.uxd1 ? 'UXD1' : 'UXD2'} ${opts.rate}Hz ${opts.channels}ch ${opts.format}, ${opts.freq}Hz tone)`);
+        socket.write(buildHeader(opts, opts.uxd1 ? 0 : blockFrames));
+        if (opts.control) watchControl(socket);
+
+        // 経過時間に合わせて送信し、タイマーの揺らぎで送信量がずれないようにする
+        const startTime = process.hrtime.bigint();
+        let sentFrames = 0;
+        const timer = setInterval(() => {
+            const elapsedSec = Number(process.hrtime.bigint() - startTime) / 1e9;
+            if (opts.seconds > 0 && elapsedSec >= opts.seconds) {
+                clearInterval(timer);
+                socket.end();
+                return;
+            }
+            const dueFrames = Math.floor(elapsedSec * opts.rate);
+            while (sentFrames + blockFrames <= dueFrames) {
+                socket.write(encodeBlock(opts, sentFrames, blockFrames));
+                sentFrames += blockFrames;
+            }
+        }, BLOCK_MS / 2);
+
+        socket.on('close', () => {
+            clearInterval(timer);
+            console.log(`Disconnected after ${(sentFrames / opts.rate).toFixed(2)}s`);
+        });
+    });
+
+    socket.on('error', (err) => {
+        console.error('Connection error:', err.message);
+        process.exitCode = 1;
+    });
+}
+
+main();